@@ -0,0 +1,65 @@
+/**
+ * 서버 렌더링 + hydrate 확인용 페이지 생성 스크립트 (의존성 없음)
+ *
+ * 실행: node examples/ssr-demo.mjs > examples/ssr-demo.html
+ *
+ * 생성된 페이지는 컴포넌트 마크업을 처음부터 포함하고 있으며,
+ * 모듈 스크립트가 로드되면 UI.mountAll()이 기존 마크업을 재사용해 hydrate 한다.
+ */
+import {renderToString} from "../src/core/ssr.js";
+
+const servers = [
+    {title: "서버 A", subText: "192.168.0.1", rightType: "status", status: "success", icon: "server"},
+    {title: "서버 B", subText: "192.168.0.2", rightType: "status", status: "fail", icon: "server"},
+];
+
+const nodes = ["MASTER", "SLAVE"].map((tag, i) => [
+    {type: "tag", value: tag},
+    {type: "details", detailData: [{label: "IP Address", value: `10.30.95.1${i + 1}`}]},
+    {type: "status", value: "Running"},
+]);
+
+const panels = [
+    renderToString("listView", {id: "servers", title: {value: "서버 상태"}, options: {size: 10}, data: servers},
+        {attrs: {class: "panel"}, mount: true}),
+    renderToString("metricCard", {id: "users", title: {value: "사용자", backgroundColor: "blue", icon: "monitor"},
+        data: {value: 1000, unit: "명", delta: {type: "up", value: 13}}}, {attrs: {class: "card"}, mount: true}),
+    renderToString("nodeGroup", {id: "system", title: {value: "시스템"}, data: nodes},
+        {attrs: {class: "panel"}, mount: true}),
+];
+
+process.stdout.write(`<!DOCTYPE html>
+<html lang="ko">
+<head>
+    <meta charset="UTF-8"/>
+    <title>SSR Demo</title>
+    <link rel="stylesheet" href="../src/styles/uiCommon.css"/>
+    <style>
+        body {
+            font-family: Arial;
+            padding: 30px;
+        }
+
+        .panel, .card {
+            margin: 10px;
+            width: 400px;
+        }
+    </style>
+</head>
+<body>
+
+<h2>UiRender SSR Demo</h2>
+
+${panels.join("\n\n")}
+
+<script type="module">
+    import UiRender from "../src/core/uiFactory.js";
+
+    // data-ui-ssr 요소는 마크업을 다시 만들지 않고 hydrate 된다.
+    UI.mountAll();
+    UI.on("itemclick", ({id, data}) => console.log(id, data));
+</script>
+
+</body>
+</html>
+`);
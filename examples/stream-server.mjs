@@ -0,0 +1,45 @@
+/**
+ * stream-demo.html 확인용 로컬 SSE 서버 (의존성 없음)
+ *
+ * 실행: node examples/stream-server.mjs
+ * 주소: http://localhost:8090/events
+ *
+ * 2초마다 `{"key": "...", "data": ...}` 형식의 메시지를 보낸다.
+ */
+import http from "node:http";
+
+const PORT = Number(process.env.PORT) || 8090;
+
+function nodes() {
+    return ["MASTER", "SLAVE"].map((tag, i) => [
+        {type: "tag", value: tag},
+        {type: "details", detailData: [{label: "IP Address", value: `10.30.95.1${i + 1}`}]},
+        {type: "status", value: Math.random() > 0.2 ? "Running" : "Stop"},
+    ]);
+}
+
+http.createServer((req, res) => {
+    if (req.url !== "/events") {
+        res.writeHead(404).end();
+        return;
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "Access-Control-Allow-Origin": "*",
+    });
+
+    const send = (key, data) => res.write(`data: ${JSON.stringify({key, data})}\n\n`);
+
+    const timer = setInterval(() => {
+        const list = nodes();
+        send("nodes", list);
+        send("running", {value: list.filter(n => n[2].value === "Running").length, unit: "대"});
+    }, 2000);
+
+    req.on("close", () => clearInterval(timer));
+}).listen(PORT, () => {
+    console.log(`SSE stand-in server: http://localhost:${PORT}/events`);
+});
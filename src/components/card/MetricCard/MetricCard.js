@@ -1,4 +1,13 @@
 import * as utils from "../../../utils/utils.js";
+import {startComponentDataSource} from "../../../core/dataSource.js";
+import {renderConnectionState} from "../../../core/stream.js";
+import {emitComponentEvent} from "../../../core/eventBus.js";
+import {t} from "../../../core/i18n.js";
+import {formatValue, resolveFormats} from "../../../core/format.js";
+import {patchChildren} from "../../../core/patch.js";
+import {createComponentLoading, createSkeleton, renderLoadingBody, setComponentLoading} from "../../../core/loading.js";
+import {renderErrorBody, setComponentError} from "../../../core/errorState.js";
+import {callHook, renderCustomSafe, reportError} from "../../../core/errorBoundary.js";
 
 /**
  * MetricCard UI Component
@@ -9,6 +18,16 @@ import * as utils from "../../../utils/utils.js";
  * @class
  */
 class MetricCard {
+    /**
+     * UI wrapper에 추가로 노출할 메서드
+     */
+    static handleMethods = ["setConnectionState", "setLoading", "setError"];
+
+    /**
+     * 컴포넌트 CSS 경로 (Shadow DOM에서 adopt 할 때도 사용)
+     */
+    static cssUrl = new URL("MetricCard.css", import.meta.url).href;
+
     /**
      * @typedef {Object} MetricCardTitle
      * @property {string} [value] - 제목 텍스트
@@ -38,60 +57,129 @@ class MetricCard {
 
     /**
      * @typedef {Object} MetricCardOptions
-     * @property {string} [emptyText="데이터 없음"] - 데이터가 없을 때 표시 텍스트
+     * @property {string} [emptyText] - 데이터가 없을 때 표시 텍스트 (기본: locale 메시지 "empty")
+     * @property {string} [errorMsg] - 오류 시 표시 텍스트 (기본: locale 메시지 "error")
+     * @property {number} [loadingDelay=200] - setLoading(true) 후 skeleton을 표시하기까지 대기 시간(ms)
+     * @property {Object.<string, string|Object|Function>} [format] - field별 format spec (예: `{value: "bytes", delta: "percent"}`)
      * @property {Array<Object>} [events] - 바인딩 이벤트 목록
      * @property {Function} [afterDraw] - draw 완료 후 실행 콜백
+     * @property {import("../../../core/dataSource.js").DataSourceOptions} [dataSource] - 원격 데이터 소스 설정
      */
 
     /**
      * @param {Object} params
      * @param {string} params.id - 카드가 렌더링될 DOM element id
+     * @param {HTMLElement} [params.el] - 렌더링 대상 요소 (지정하면 id로 찾지 않음)
      * @param {MetricCardTitle} [params.title]
      * @param {MetricCardFooter} [params.footer]
      * @param {MetricCardOptions} [params.options]
      * @param {Object} [params.custom] - header/body/footer 커스텀 렌더링 설정
      * @param {Object} [params.iconEngine] - 아이콘 렌더링 엔진
      */
-    constructor({id, title = {}, footer = {}, schema, options: userOptions = {}, custom = {}, iconEngine = null} = {}) {
+    constructor({id, el = null, title = {}, footer = {}, schema, options: userOptions = {}, custom = {}, iconEngine = null} = {}) {
         const defaultOption = {
-            emptyText: "데이터 없음",
             events: [],
-            errorMsg: "처리중 오류가 발생했습니다.",
         }
 
-        this.id = id;
+        this.id = id || el?.id;
         this.title = title;
         this.footer = footer;
         this.schema = schema;
         this.custom = custom;
         this.options = utils.deepMerge(defaultOption, userOptions);
+        this.formats = resolveFormats(schema, this.options.format);
         this.iconEngine = iconEngine;
 
-        this.el = null;
+        this.el = el;
         this.headerEl = null;
         this.bodyEl = null;
         this.footerEl = null;
+        this.dataSource = null;
+        this.connectionState = null;
+        this.error = null; // setError 상태 {error, retry}
+        this.loading = createComponentLoading(this);
 
-        const base = new URL(".", import.meta.url).href;
-        utils.injectCss(base + "MetricCard.css");
+        utils.injectCss(MetricCard.cssUrl);
     }
 
     /**
      * 컴포넌트 초기화
      * @param {MetricCardData} data - 초기 데이터
+     * @param {Object} [options]
+     * @param {boolean} [options.hydrate=false] true면 기존(서버 렌더링) 레이아웃을 재사용한다. ({@link hydrate})
      */
-    init(data = {}) {
-        this.el = document.getElementById(this.id);
+    init(data = {}, {hydrate = false} = {}) {
+        this.el = this.el || document.getElementById(this.id);
         if (!this.el) {
             throw new Error(`No metricCard element with id ${this.id}`);
         }
 
-        this.renderLayout();
+        if (hydrate) {
+            this.adoptLayout();
+        } else {
+            this.renderLayout();
+        }
 
         this.data = data;
         this.setViewData();
 
         this.draw();
+        this.bindComponentEvents();
+        startComponentDataSource(this);
+    }
+
+    /**
+     * 스트림 연결 상태를 header에 표시한다.
+     *
+     * @param {import("../../../core/stream.js").StreamState|null} state 연결 상태 (null이면 표시 제거)
+     */
+    setConnectionState(state) {
+        this.connectionState = state;
+        renderConnectionState(this.headerEl, state);
+    }
+
+    /**
+     * 로딩 상태를 설정한다.
+     *
+     * options.loadingDelay가 지나도 로딩 중이면 메인 값 자리에 skeleton을 표시한다.
+     * 다음 setData 호출 시 자동으로 해제된다.
+     *
+     * @param {boolean} [loading=true]
+     */
+    setLoading(loading = true) {
+        setComponentLoading(this, loading);
+    }
+
+    /**
+     * 오류 상태를 설정하고 body에 오류 패널을 표시한다.
+     *
+     * - 문자열은 그대로 표시하고, Error 객체는 options.errorMsg(기본: locale 메시지 "error")로 표시한다.
+     * - retry를 생략하면 options.dataSource가 있을 때 데이터 소스를 다시 요청하는 버튼을 표시한다.
+     *   `retry: false`이면 버튼을 표시하지 않는다.
+     * - 다음 setData 호출 시 해제되며, `setError(null)`로 직접 해제할 수도 있다.
+     *
+     * @param {Error|string|null} error 오류 또는 표시할 문구
+     * @param {Object} [options]
+     * @param {Function|false} [options.retry] 다시 시도 버튼 클릭 시 실행할 함수 (Promise 반환 가능)
+     *
+     * @example
+     * fetchServers().then(data => ui.setData(data), error => ui.setError(error, {retry: load}));
+     */
+    setError(error, {retry} = {}) {
+        setComponentError(this, error, {retry});
+    }
+
+    /**
+     * 카드 본문 클릭 시 `itemclick` semantic 이벤트를 발생시키는 내부 리스너를 등록한다.
+     *
+     * @private
+     */
+    bindComponentEvents() {
+        const selector = utils.makeSelectorClassName([], [utils.RULES.dataBindClass]);
+        this.unbindComponentEvents = utils.delegate(this.el, "click", selector, (e, target) => {
+            const {index, data} = utils.resolveItemData(target, this.viewData);
+            emitComponentEvent(this, "itemclick", {index, data, target, event: e});
+        });
     }
 
     /**
@@ -125,6 +213,52 @@ class MetricCard {
         this.viewData = [];
     }
 
+    /**
+     * 서버에서 렌더링된 마크업(core/ssr.js의 renderToString)을 재사용하여 초기화한다.
+     *
+     * DOM을 다시 만들지 않고 patch renderer로 기존 마크업과 비교하므로,
+     * 내용이 같으면 DOM 변경 없이 이벤트, 아이콘 처리, `_ui*` 데이터만 연결된다.
+     *
+     * @param {*} data 서버 렌더링에 사용한 데이터
+     */
+    hydrate(data) {
+        this.init(data, {hydrate: true});
+    }
+
+    /**
+     * 이벤트, 아이콘 처리, 데이터 소스 없이 레이아웃과 내용만 렌더링한다.
+     *
+     * 서버 렌더링(core/ssr.js)에서 사용하며, this.el이 미리 지정되어 있어야 한다.
+     *
+     * @param {*} data 렌더링 데이터
+     */
+    renderStatic(data) {
+        this.renderLayout();
+
+        this.data = data;
+        this.setViewData();
+        this.render();
+    }
+
+    /**
+     * 서버에서 렌더링된 레이아웃 요소를 찾아 재사용한다.
+     *
+     * 하나라도 없으면 기존 내용을 비우고 레이아웃을 새로 만든다.
+     *
+     * @private
+     */
+    adoptLayout() {
+        const find = (name) => this.el.querySelector(`:scope > ${utils.makeSelectorClassName([name])}`);
+        this.headerEl = find("metricCard-header");
+        this.bodyEl = find("metricCard-body");
+        this.footerEl = find("metricCard-footer");
+
+        if (!this.headerEl || !this.bodyEl || !this.footerEl) {
+            utils.clear(this.el);
+            this.renderLayout();
+        }
+    }
+
     /**
      * 기본 레이아웃 생성 (header, body, footer)
      */
@@ -145,29 +279,54 @@ class MetricCard {
     }
 
     /**
-     * 전체 UI 렌더링
+     * 현재 viewData로 DOM만 렌더링한다.
+     *
+     * 이벤트 바인딩과 afterDraw(아이콘 처리, 콜백)는 수행하지 않는다.
+     *
+     * @private
      */
-    draw() {
+    render() {
         this.renderHeader();
+        renderConnectionState(this.headerEl, this.connectionState);
         this.renderBody();
         this.renderFooter();
+    }
 
-        utils.bindEvents(this.el, this.options.events, this.viewData);
+    /**
+     * 전체 UI 렌더링
+     */
+    draw() {
+        this.render();
+
+        this.bindEvents();
         this.afterDraw();
     }
 
+    /**
+     * options.events를 바인딩한다. 핸들러 오류는 UI.onError로 보고된다.
+     *
+     * @private
+     */
+    bindEvents() {
+        utils.bindEvents(this.el, this.options.events, this.viewData, (error) => reportError(this, "event", error));
+    }
+
     /**
      * 데이터 설정 후 렌더링
      * @param {MetricCardData} data
      */
     setData(data = {}) {
+        this.loading.clear();
+        this.error = null;
         this.data = data;
         this.setViewData();
 
         this.renderBody();
 
-        utils.bindEvents(this.el, this.options.events, this.viewData);
+        this.bindEvents();
         this.afterDraw();
+
+        emitComponentEvent(this, "datachange", {data: this.data, viewData: this.viewData});
     }
 
     setViewData() {
@@ -198,13 +357,12 @@ class MetricCard {
      * Header 영역 렌더링
      */
     renderHeader() {
-        this.headerEl.textContent = "";
-
         if (this.custom.header) {
-            utils.renderCustom(this.headerEl, this.custom.header, this.getContext());
+            renderCustomSafe(this, "custom.header", this.headerEl, this.custom.header);
             return;
         }
 
+        const elements = [];
         if (this.title && Object.keys(this.title).length > 0) {
             // heaeder 카드색 class 추가
             if (this.title.backgroundColor) {
@@ -212,10 +370,7 @@ class MetricCard {
             }
 
             // title 추가
-            const title = document.createElement("span");
-            title.textContent = this.title.value;
-
-            const elements = [title]; // 기본적으로 title만 있음
+            elements.push(utils.h("span", this.title.value)); // 기본적으로 title만 있음
 
             // Icon 추가
             if (this.title.icon) {
@@ -228,19 +383,22 @@ class MetricCard {
                 }
             }
 
-            // 한 번에 append
-            elements.forEach(el => this.headerEl.appendChild(el));
         }
+
+        // 변경된 부분만 반영
+        patchChildren(this.headerEl, elements);
     }
 
     /**
      * Body 영역 렌더링
      */
     renderBody() {
-        this.bodyEl.textContent = "";
+        if (renderLoadingBody(this) || renderErrorBody(this)) {
+            return;
+        }
 
         if (this.custom.body) {
-            utils.renderCustom(this.bodyEl, this.custom.body, this.getContext());
+            renderCustomSafe(this, "custom.body", this.bodyEl, this.custom.body);
             return;
         }
 
@@ -255,11 +413,11 @@ class MetricCard {
             if (this.shouldRenderDelta()) {
                 wrapper.appendChild(this.createDeltaSection());
             }
-        } else {
+        } else if (!this.loading.active) {
             this.renderEmpty(wrapper);
         }
 
-        this.bodyEl.appendChild(wrapper);
+        patchChildren(this.bodyEl, [wrapper]);
     }
 
     /**
@@ -267,9 +425,19 @@ class MetricCard {
      * @returns {HTMLElement}
      */
     createBodyWrapper() {
-        const wrapper = document.createElement("div");
-        wrapper.className = utils.makeClassName(["metricCard-row"]);
-        return wrapper;
+        return utils.h("div", {class: ["metricCard-row"]});
+    }
+
+    /**
+     * 로딩 중 표시할 counter skeleton 생성
+     * @returns {HTMLElement}
+     */
+    renderSkeleton() {
+        return utils.h("div", {class: ["metricCard-row"], role: "status", "aria-label": t("loading")},
+            utils.h("div", {class: "counter-group"},
+                createSkeleton("metricCard-skeleton-counter"),
+                createSkeleton("metricCard-skeleton-unit"))
+        );
     }
 
     /**
@@ -278,24 +446,10 @@ class MetricCard {
      */
     createMainSection() {
         const d = this.viewData[0];
-        const main = document.createElement("div");
-        main.className = utils.makeClassName([], ["counter-group"]);
-
-        if (d.error) {
-            const error = utils.createElement("span", d.error || this.options.errorMsg, utils.makeClassName(["error"], []));
-            main.appendChild(error);
-        } else {
-            const counter = document.createElement("span");
-            counter.className = utils.makeClassName([], ["counter"]);
-            counter.textContent = d.value;
-
-            const unit = document.createElement("span");
-            unit.className = utils.makeClassName([], ["unit"]);
-            unit.textContent = d.unit;
-
-            main.append(counter, unit);
-        }
-        return main;
+        return utils.h("div", {class: "counter-group"},
+            utils.h("span", {class: "counter"}, formatValue(d.value, this.formats.value)),
+            utils.h("span", {class: "unit"}, d.unit)
+        );
     }
 
     /**
@@ -313,19 +467,10 @@ class MetricCard {
     createDeltaSection() {
         const {type, value} = this.viewData[0].delta;
 
-        const delta = document.createElement("div");
-        delta.className = utils.makeClassName([], ["delta", type]);
-
-        const arrow = document.createElement("span");
-        arrow.className = utils.makeClassName([], ["delta-arrow"]);
-        arrow.textContent = type === "up" ? "▲" : "▼";
-
-        const deltaValue = document.createElement("span");
-        deltaValue.className = utils.makeClassName([], ["delta-value"]);
-        deltaValue.textContent = value;
-
-        delta.append(arrow, deltaValue);
-        return delta;
+        return utils.h("div", {class: [[], ["delta", type]]},
+            utils.h("span", {class: "delta-arrow"}, type === "up" ? "▲" : "▼"),
+            utils.h("span", {class: "delta-value"}, formatValue(value, this.formats.delta))
+        );
     }
 
     /**
@@ -334,31 +479,26 @@ class MetricCard {
      */
     renderEmpty(wrapper) {
         wrapper.classList.add("empty");
-        wrapper.textContent = this.options.emptyText;
+        wrapper.textContent = this.options.emptyText ?? t("empty");
     }
 
     /**
      * Footer 영역 렌더링
      */
     renderFooter() {
-        this.footerEl.textContent = "";
-
         if (this.custom.footer) {
-            utils.renderCustom(this.footerEl, this.custom.footer, this.getContext());
+            renderCustomSafe(this, "custom.footer", this.footerEl, this.custom.footer);
             return;
         }
 
+        const elements = [];
         if (this.footer && Object.keys(this.footer).length > 0) {
-            const link = document.createElement("a");
-            link.href = this.footer.url ? this.footer.url : "#";
-            link.className = utils.makeClassName([], ["view-detail"]);
-            link.textContent = this.footer.value;
-
-            const icon = this.iconEngine.getIcon("chevron-right");
-            link.appendChild(icon);
-
-            this.footerEl.appendChild(link);
+            elements.push(utils.h("a", {href: this.footer.url ? this.footer.url : "#", class: "view-detail"},
+                this.footer.value,
+                this.iconEngine.getIcon("chevron-right")
+            ));
         }
+        patchChildren(this.footerEl, elements);
     }
 
     /**
@@ -374,22 +514,34 @@ class MetricCard {
             // context 생성
             const context = Object.freeze(this.getContext());
 
-            this.options.afterDraw(context);
+            callHook(this, "afterDraw", this.options.afterDraw, context);
         }
+
+        emitComponentEvent(this, "render", {viewData: this.viewData});
     }
 
     /**
      * 컴포넌트 제거 및 이벤트 해제
+     *
+     * 루트 요소(this.el)는 페이지에 그대로 두고 header/body/footer만 제거한다.
      */
     destroy() {
         if (!this.el) {
             return;
         }
 
-        uiUtils.unbindEvents(this.el);
+        emitComponentEvent(this, "destroy");
+        this.unbindComponentEvents?.();
+        this.unbindComponentEvents = null;
+
+        this.dataSource?.stop();
+        this.dataSource = null;
+        this.loading.clear();
+
+        utils.unbindEvents(this.el);
 
-        // Dom에서 제거
-        this.el.remove();
+        // 렌더링한 내용만 제거 (루트 요소는 페이지 소유이므로 유지)
+        utils.clear(this.el);
 
         this.el = null;
         this.headerEl = null;
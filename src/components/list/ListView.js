@@ -1,4 +1,35 @@
 import * as utils from "../../utils/utils.js";
+import {startComponentDataSource} from "../../core/dataSource.js";
+import {renderConnectionState} from "../../core/stream.js";
+import {emitComponentEvent} from "../../core/eventBus.js";
+import {t} from "../../core/i18n.js";
+import {formatValue, resolveFormats} from "../../core/format.js";
+import {patchChildren} from "../../core/patch.js";
+import {createComponentLoading, createSkeleton, renderLoadingBody, setComponentLoading} from "../../core/loading.js";
+import {renderErrorBody, setComponentError} from "../../core/errorState.js";
+import {callHook, renderCustomSafe, reportError} from "../../core/errorBoundary.js";
+import {getPageCount, renderPager} from "../../core/pagination.js";
+import {normalizeSort, normalizeSortFields, renderSortControl, sortItems} from "../../core/sort.js";
+
+/**
+ * PageUp/PageDown 이동 항목 수 (항목 높이를 알 수 없을 때)
+ */
+const DEFAULT_PAGE_STEP = 5;
+
+/**
+ * 가상 스크롤 기본 항목 높이(px)
+ */
+const DEFAULT_VIRTUAL_ITEM_HEIGHT = 56;
+
+/**
+ * 가상 스크롤 시 화면 위/아래로 추가 렌더링할 기본 항목 수
+ */
+const DEFAULT_VIRTUAL_OVERSCAN = 5;
+
+/**
+ * 검색 입력 후 적용까지 기본 대기 시간(ms)
+ */
+const DEFAULT_FILTER_DEBOUNCE = 200;
 
 //TODO: refresh Title(필요할때 만들기)
 /**
@@ -7,6 +38,43 @@ import * as utils from "../../utils/utils.js";
  * 지정한 DOM element 내부에 리스트 레이아웃을 생성하고
  * 데이터 기반으로 아이템을 렌더링한다.
  *
+ * 접근성:
+ * - interactive 목록은 `listbox`/`option`, 그 외는 `list`/`listitem` role로 렌더링한다.
+ * - interactive 목록은 roving tabindex를 사용하며 Arrow Up/Down, Home, End, PageUp/PageDown으로 항목을 이동한다.
+ * - Enter, Space는 항목 click과 같은 handler(options.events, `itemclick`)를 실행한다.
+ *
+ * 페이지 이동 (options.pagination):
+ * - footer에 pager(이전/다음, 페이지 번호, 전체 건수)를 표시하고 options.size 단위로 페이지를 나눈다.
+ * - 현재 페이지는 setData 호출 후에도 유지된다. (데이터가 줄어 페이지가 없어지면 마지막 페이지)
+ * - `serverSide: true`이면 setData로 현재 페이지 데이터만 전달하고 전체 건수는 `setData(data, {total})`로 지정한다.
+ *   페이지 이동 시 `onPageChange({page, size})`를 호출하며, 반환값(배열 또는 `{data, total}`, Promise 가능)이 있으면 setData 한다.
+ * - custom.footer가 있으면 pager 대신 custom.footer를 렌더링한다. (context.ui.setPage로 직접 구현)
+ *
+ * 가상 스크롤 (options.virtual):
+ * - body를 고정 높이 스크롤 영역으로 만들고, 보이는 항목과 위/아래 overscan 항목만 DOM에 렌더링한다.
+ * - 모든 항목은 같은 높이(itemHeight)로 표시되며, options.size는 표시 개수 제한이 아닌 body 높이(행 수)로 사용된다.
+ * - 항목의 index(`data-index`, options.events handler, `itemclick`)는 DOM 위치가 아닌 전체 데이터 기준이다.
+ *
+ * 이어 불러오기 (options.infinite):
+ * - 목록 끝의 "더 보기" 영역이 화면에 보이면(IntersectionObserver) `onLoadMore({offset, size})`를 호출하고,
+ *   결과를 {@link ListView#appendData}로 추가한다. "더 보기" 버튼으로 직접 불러올 수도 있다.
+ * - 결과가 size보다 적거나 `{data, hasMore: false}`이면 더 불러오지 않는다. (다음 setData 시 초기화)
+ * - 실패하면 오류를 보고하고(UI.onError, phase `loadMore`) 자동으로 다시 요청하지 않으며, 버튼으로 다시 시도한다.
+ * - options.size로 표시 개수를 제한하지 않으며, options.pagination과 함께 사용할 수 없다. (pagination 우선)
+ *
+ * 정렬 (options.sort):
+ * - header 제목 옆에 정렬 field 선택과 방향 전환 버튼을 표시한다. (custom.header가 있으면 setSort로 직접 구현)
+ * - 정렬은 schema 매핑 후 값 기준으로 size/pagination 적용 전에 수행하는 안정 다중 key 정렬이다. (core/sort.js)
+ * - serverSide pagination은 현재 페이지 데이터만 정렬한다.
+ * - {@link ListView#getSort}/{@link ListView#setSort}로 정렬 상태를 저장하고 복원할 수 있다.
+ *
+ * 검색 (options.filter):
+ * - header에 검색 입력창과 "n / m" 일치 건수를 표시한다. 입력은 debounce 후 적용된다.
+ * - 검색어는 filter field(기본: title, subText)의 표시 값(format 적용 후)에서 대소문자 구분 없이 찾으며,
+ *   listView-item-title/subText의 일치 부분을 `<mark>`로 강조한다.
+ * - {@link ListView#setFilter}로 검색어 또는 조건 함수를 직접 지정할 수 있다. (options.filter 없이도 사용 가능)
+ * - 검색은 정렬과 마찬가지로 size/pagination 적용 전에 수행하며, 검색어가 바뀌면 첫 페이지로 이동한다.
+ *
  * @example
  * const listView = new ListView({
  *   id: "myList",
@@ -27,63 +95,793 @@ import * as utils from "../../utils/utils.js";
  * });
  *
  * listView.init(data);
+ *
+ * @example
+ * // 서버 페이지 이동
+ * UI.initListView({
+ *   id: "serverList",
+ *   options: {
+ *     size: 20,
+ *     pagination: {
+ *       serverSide: true,
+ *       onPageChange: ({page, size}) => fetch(`/api/servers?page=${page}&size=${size}`)
+ *         .then(res => res.json())
+ *         .then(res => ({data: res.list, total: res.total}))
+ *     }
+ *   }
+ * });
  */
 class ListView {
+    /**
+     * UI wrapper에 추가로 노출할 메서드
+     */
+    static handleMethods = [
+        "setConnectionState", "setLoading", "setError", "setPage", "getPage", "appendData", "loadMore", "getSort", "setSort",
+        "setFilter",
+    ];
+
+    /**
+     * 컴포넌트 CSS 경로 (Shadow DOM에서 adopt 할 때도 사용)
+     */
+    static cssUrl = new URL("ListView.css", import.meta.url).href;
+
     /**
      * @param {Object} config
      * @param {string} config.id 렌더링 대상 DOM element id
+     * @param {HTMLElement} [config.el] 렌더링 대상 요소 (지정하면 id로 찾지 않음)
      * @param {string} [config.title] ListView 제목
      * @param {Object} [config.schema] 데이터 매핑 스키마
      * @param {Object} [config.options] 사용자 옵션
-     * @param {number} [config.options.size=5] 표시할 최대 데이터 개수
+     * @param {number} [config.options.size=5] 표시할 최대 데이터 개수 (pagination 사용 시 페이지당 항목 수)
+     * @param {boolean|Object} [config.options.pagination] 페이지 이동 설정 (true면 기본값 사용)
+     * @param {number} [config.options.pagination.page=1] 시작 페이지
+     * @param {boolean} [config.options.pagination.serverSide=false] 서버 페이지 이동 여부 (setData로 현재 페이지 데이터만 전달)
+     * @param {number} [config.options.pagination.total] 서버 페이지 이동 시 전체 항목 수 (`setData(data, {total})`로도 지정)
+     * @param {function({page: number, size: number}): *} [config.options.pagination.onPageChange] 페이지 이동 시 호출.
+     * serverSide이면 반환값(배열 또는 `{data, total}`, Promise 가능)으로 setData 하고, 실패하면 다시 시도 버튼과 함께 오류 패널을 표시한다.
+     * 반환값이 없으면 직접 setData 할 때까지 로딩 상태로 표시한다.
+     * @param {number} [config.options.pagination.maxButtons=5] 표시할 페이지 번호 수
+     * @param {boolean|Object} [config.options.virtual] 가상 스크롤 설정 (true면 기본값 사용)
+     * @param {number} [config.options.virtual.itemHeight=56] 항목 높이(px)
+     * @param {number} [config.options.virtual.overscan=5] 화면 위/아래로 추가 렌더링할 항목 수
+     * @param {number|string} [config.options.virtual.height] body 높이 (숫자는 px, 기본값 itemHeight * options.size)
+     * @param {Object} [config.options.infinite] 이어 불러오기 설정
+     * @param {function({offset: number, size: number}): Promise<Object[]|{data: Object[], hasMore?: boolean}>} config.options.infinite.onLoadMore
+     * 다음 항목 요청 함수 (offset: 현재 데이터 개수)
+     * @param {number} [config.options.infinite.size] 한 번에 불러올 항목 수 (기본값 options.size)
+     * @param {string} [config.options.infinite.rootMargin="200px"] 끝에 도달하기 전 미리 불러올 거리 (IntersectionObserver rootMargin)
+     * @param {Object} [config.options.sort] 정렬 설정
+     * @param {Array<string|import("../../core/sort.js").SortField>} [config.options.sort.fields] 정렬할 수 있는 field (header 선택 목록)
+     * @param {string|import("../../core/sort.js").SortKey|Array} [config.options.sort.by] 초기 정렬 상태
+     * @param {boolean|Object} [config.options.filter] header 검색 입력창 표시 여부 또는 설정
+     * @param {string[]} [config.options.filter.fields=["title", "subText"]] 검색할 viewData field
+     * @param {number} [config.options.filter.debounce=200] 입력 후 검색을 적용하기까지 대기 시간(ms)
+     * @param {string} [config.options.filter.placeholder] 입력창 placeholder (기본: locale 메시지 "filter.placeholder")
      * @param {Array<Object>} [config.options.events=[]] 이벤트 정의 배열
-     * @param {string} [config.options.emptyText="데이터 없음"] 데이터가 없을 때 표시 문구
+     * @param {boolean} [config.options.interactive] 항목 선택/실행 가능 여부 (listbox, keyboard 이동).
+     * 생략하면 options.events에 click 이벤트가 있을 때 true (`UI.on("itemclick")`만 사용하면 직접 지정)
+     * @param {string} [config.options.emptyText] 데이터가 없을 때 표시 문구 (기본: locale 메시지 "empty")
+     * @param {string} [config.options.errorMsg] 오류 시 표시 문구 (기본: locale 메시지 "error")
+     * @param {number} [config.options.loadingDelay=200] setLoading(true) 후 skeleton을 표시하기까지 대기 시간(ms)
+     * @param {string|Function} [config.options.key] 항목 key (viewData field 이름 또는 `(item, index) => key`, 기본값 index)
+     * @param {Object.<string, string|Object|Function>} [config.options.format] field별 format spec (예: `{subText: "bytes"}`)
      * @param {Function} [config.options.afterDraw] draw 완료 후 실행되는 콜백
+     * @param {import("../../core/dataSource.js").DataSourceOptions} [config.options.dataSource] 원격 데이터 소스 설정
      * @param {Object} [config.custom] header/body/footer 커스텀 렌더 함수
      * @param iconEngine
      */
-    constructor({id, title, schema, options: userOptions = {}, custom = {}, iconEngine = null} = {}) {
-        const defaultOption = {
-            size: 5,
-            events: [],
-            emptyText: "데이터 없음",
-            errorMsg: "처리중 오류가 발생했습니다.",
-        }
+    constructor({id, el = null, title, schema, options: userOptions = {}, custom = {}, iconEngine = null} = {}) {
+        const defaultOption = {
+            size: 5,
+            events: [],
+        }
+
+        this.id = id || el?.id;
+        this.title = title;
+        this.schema = schema;
+        this.custom = custom;
+        this.options = utils.deepMerge(defaultOption, userOptions);
+        this.formats = resolveFormats(schema, this.options.format);
+        this.iconEngine = iconEngine;
+
+        this.el = el;
+        this.headerEl = null;
+        this.bodyEl = null;
+        this.footerEl = null;
+        this.data = [];
+        this.dataSource = null;
+        this.connectionState = null;
+        this.error = null; // setError 상태 {error, retry}
+        this.activeIndex = 0; // roving tabindex 항목 index
+        this.pagination = this.options.pagination === true ? {} : this.options.pagination || null;
+        this.page = Math.max(1, this.pagination?.page ?? 1);
+        this.total = this.pagination?.total ?? null; // serverSide 전체 항목 수
+        this.pageRequest = 0; // 마지막 onPageChange 요청 번호 (늦게 도착한 응답 무시용)
+        this.virtual = this.options.virtual ? {
+            itemHeight: DEFAULT_VIRTUAL_ITEM_HEIGHT,
+            overscan: DEFAULT_VIRTUAL_OVERSCAN,
+            ...(this.options.virtual === true ? {} : this.options.virtual),
+        } : null;
+        this.virtualRange = null; // 마지막으로 렌더링한 가상 스크롤 범위 {start, end}
+        this.virtualFrame = null; // scroll 렌더링 requestAnimationFrame id
+        this.infinite = !this.pagination && this.options.infinite
+            ? {rootMargin: "200px", ...this.options.infinite}
+            : null;
+        this.hasMore = true; // infinite: 더 불러올 항목이 있는지
+        this.loadingMore = false; // infinite: onLoadMore 응답 대기 중
+        this.loadMoreFailed = false; // infinite: 마지막 onLoadMore 실패 (자동 요청 중지)
+        this.loadMoreRequest = 0; // 마지막 onLoadMore 요청 번호 (setData 이후 도착한 응답 무시용)
+        this.loadMoreObserver = null;
+        this.sortFields = normalizeSortFields(this.options.sort?.fields);
+        this.sort = normalizeSort(this.options.sort?.by, this.sortFields); // 현재 정렬 상태 [{field, direction}]
+        this.filterConfig = {
+            fields: ["title", "subText"],
+            debounce: DEFAULT_FILTER_DEBOUNCE,
+            ...(typeof this.options.filter === "object" ? this.options.filter : {}),
+        };
+        this.filterQuery = ""; // 검색어 (입력창 값)
+        this.filterPredicate = null; // setFilter로 지정한 조건 함수
+        this.matchCount = 0; // 검색 결과 항목 수 (검색하지 않으면 전체 항목 수)
+        this.applyFilterLater = utils.debounce(() => this.applyFilter(), this.filterConfig.debounce);
+        this.loading = createComponentLoading(this);
+
+        utils.injectCss(ListView.cssUrl);
+    }
+
+    /**
+     * ListView를 초기화하고 최초 렌더링을 수행한다.
+     *
+     * @param {Object[]} data 초기 데이터 배열
+     * @param {Object} [options]
+     * @param {boolean} [options.hydrate=false] true면 기존(서버 렌더링) 레이아웃을 재사용한다. ({@link hydrate})
+     */
+    init(data = [], {hydrate = false} = {}) {
+        this.el = this.el || document.getElementById(this.id);
+        if (!this.el) {
+            throw new Error(`No listView element with id ${this.id}`);
+        }
+
+        if (hydrate) {
+            this.adoptLayout();
+        } else {
+            this.renderLayout();
+        }
+
+        this.data = data;
+        this.setViewData();
+
+        this.draw();
+        this.bindComponentEvents();
+        startComponentDataSource(this);
+    }
+
+    /**
+     * 스트림 연결 상태를 header에 표시한다.
+     *
+     * @param {import("../../core/stream.js").StreamState|null} state 연결 상태 (null이면 표시 제거)
+     */
+    setConnectionState(state) {
+        this.connectionState = state;
+        renderConnectionState(this.headerEl, state);
+    }
+
+    /**
+     * 로딩 상태를 설정한다.
+     *
+     * options.loadingDelay가 지나도 로딩 중이면 body에 목록 형태의 skeleton을 표시한다.
+     * 다음 setData 호출 시 자동으로 해제된다.
+     *
+     * @param {boolean} [loading=true]
+     */
+    setLoading(loading = true) {
+        setComponentLoading(this, loading);
+    }
+
+    /**
+     * 오류 상태를 설정하고 body에 오류 패널을 표시한다.
+     *
+     * - 문자열은 그대로 표시하고, Error 객체는 options.errorMsg(기본: locale 메시지 "error")로 표시한다.
+     * - retry를 생략하면 options.dataSource가 있을 때 데이터 소스를 다시 요청하는 버튼을 표시한다.
+     *   `retry: false`이면 버튼을 표시하지 않는다.
+     * - 다음 setData 호출 시 해제되며, `setError(null)`로 직접 해제할 수도 있다.
+     *
+     * @param {Error|string|null} error 오류 또는 표시할 문구
+     * @param {Object} [options]
+     * @param {Function|false} [options.retry] 다시 시도 버튼 클릭 시 실행할 함수 (Promise 반환 가능)
+     *
+     * @example
+     * fetchServers().then(data => ui.setData(data), error => ui.setError(error, {retry: load}));
+     */
+    setError(error, {retry} = {}) {
+        setComponentError(this, error, {retry});
+    }
+
+    /**
+     * 현재 페이지를 반환한다. (1부터 시작)
+     *
+     * @returns {number}
+     */
+    getPage() {
+        return this.page;
+    }
+
+    /**
+     * 페이지를 이동한다. (options.pagination 사용 시)
+     *
+     * serverSide이면 onPageChange로 해당 페이지 데이터를 요청하고, 응답을 받을 때까지 로딩 상태로 표시한다.
+     *
+     * @param {number} page 이동할 페이지 (범위를 벗어나면 처음/마지막 페이지)
+     */
+    setPage(page) {
+        if (!this.pagination) {
+            return;
+        }
+
+        const {size} = this.options;
+        const next = Math.max(1, Math.min(Math.floor(page) || 1, getPageCount(this.getTotal(), size)));
+        if (next === this.page) {
+            return;
+        }
+
+        this.page = next;
+        this.activeIndex = 0;
+        emitComponentEvent(this, "pagechange", {page: next, size});
+
+        if (this.pagination.serverSide) {
+            if (this.el) {
+                this.renderFooter();
+            }
+            this.requestPage(next).catch(error => this.setError(error, {retry: () => this.requestPage(next)}));
+            return;
+        }
+
+        if (typeof this.pagination.onPageChange === "function") {
+            callHook(this, "pageChange", this.pagination.onPageChange, {page: next, size});
+        }
+
+        this.setViewData();
+        if (this.el) {
+            this.renderBody();
+            this.renderFooter();
+            this.bindEvents();
+            this.afterDraw();
+        }
+    }
+
+    /**
+     * serverSide 페이지 데이터를 onPageChange로 요청한다.
+     *
+     * 이후 다른 페이지를 요청했거나 컴포넌트가 제거된 경우 응답(오류 포함)은 무시한다.
+     *
+     * @private
+     * @param {number} page
+     * @returns {Promise<void>} onPageChange가 실패하면 reject
+     */
+    requestPage(page) {
+        const {onPageChange} = this.pagination;
+        if (typeof onPageChange !== "function") {
+            return Promise.resolve();
+        }
+
+        const request = ++this.pageRequest;
+        const isStale = () => request !== this.pageRequest || !this.el;
+
+        this.setLoading(true);
+        return Promise.resolve()
+            .then(() => onPageChange({page, size: this.options.size}))
+            .then((result) => {
+                if (isStale() || result == null) {
+                    return;
+                }
+                if (Array.isArray(result)) {
+                    this.setData(result);
+                } else {
+                    this.setData(result.data, {total: result.total});
+                }
+            }, (error) => {
+                if (!isStale()) {
+                    throw error;
+                }
+            });
+    }
+
+    /**
+     * pagination 기준 전체 항목 수
+     *
+     * @private
+     * @returns {number}
+     */
+    getTotal() {
+        return this.pagination?.serverSide ? this.total ?? this.matchCount : this.matchCount;
+    }
+
+    /**
+     * 현재 정렬 상태를 반환한다.
+     *
+     * @returns {import("../../core/sort.js").SortKey[]} 정렬 key 목록 (복사본, 정렬하지 않으면 빈 배열)
+     */
+    getSort() {
+        return this.sort.map(key => ({...key}));
+    }
+
+    /**
+     * 정렬 상태를 변경하고 다시 렌더링한다.
+     *
+     * @param {string|import("../../core/sort.js").SortKey|Array|null} sort 정렬 상태 (field 이름, key, key 배열, null이면 정렬 해제)
+     *
+     * @example
+     * ui.setSort([{field: "status", direction: "desc"}, "title"]);
+     * localStorage.setItem("serverSort", JSON.stringify(ui.getSort()));
+     */
+    setSort(sort) {
+        this.sort = normalizeSort(sort, this.sortFields);
+        this.activeIndex = 0;
+        emitComponentEvent(this, "sortchange", {sort: this.getSort()});
+
+        this.setViewData();
+        if (!this.el) {
+            return;
+        }
+
+        this.renderHeader();
+        renderConnectionState(this.headerEl, this.connectionState);
+        this.renderBody();
+        if (this.pagination) {
+            this.renderFooter();
+        }
+        this.bindEvents();
+        this.afterDraw();
+    }
+
+    /**
+     * 검색어 또는 조건 함수로 표시할 항목을 거른다.
+     *
+     * - 문자열: filter field의 표시 값에 포함된 항목만 표시하고 일치 부분을 강조한다. (header 입력창 값도 변경)
+     * - 함수: schema 매핑된 항목을 받아 표시 여부를 반환한다. `(item) => boolean`
+     * - null 또는 빈 문자열: 검색을 해제한다.
+     *
+     * 검색 중에는 options.filter 여부와 관계없이 header에 "n / m" 일치 건수를 표시한다.
+     *
+     * @param {string|function(Object): boolean|null} filter
+     *
+     * @example
+     * ui.setFilter("web-");
+     * ui.setFilter(item => item.status === "fail");
+     */
+    setFilter(filter) {
+        this.applyFilterLater.cancel();
+        if (typeof filter === "function") {
+            this.filterPredicate = filter;
+            this.filterQuery = "";
+        } else {
+            this.filterPredicate = null;
+            this.filterQuery = String(filter ?? "");
+        }
+
+        if (this.el) {
+            this.renderHeader();
+            renderConnectionState(this.headerEl, this.connectionState);
+        }
+        this.applyFilter();
+    }
+
+    /**
+     * 현재 검색 조건으로 목록을 다시 렌더링한다.
+     *
+     * @private
+     */
+    applyFilter() {
+        this.activeIndex = 0;
+        if (this.pagination && !this.pagination.serverSide) {
+            this.page = 1;
+        }
+        this.setViewData();
+        emitComponentEvent(this, "filterchange", {
+            query: this.filterPredicate ? null : this.filterQuery,
+            count: this.matchCount,
+            total: this.data.length,
+        });
+
+        if (!this.el) {
+            return;
+        }
+
+        this.renderBody();
+        if (this.pagination) {
+            this.renderFooter();
+        }
+        this.updateFilterCount();
+        this.bindEvents();
+        this.afterDraw();
+    }
+
+    /**
+     * 검색 중인지 여부
+     *
+     * @private
+     * @returns {boolean}
+     */
+    isFiltered() {
+        return this.filterPredicate !== null || this.filterQuery.trim() !== "";
+    }
+
+    /**
+     * 현재 검색 조건의 항목 판별 함수 (검색하지 않으면 null)
+     *
+     * @private
+     * @returns {function(Object): boolean|null}
+     */
+    createFilter() {
+        if (this.filterPredicate) {
+            return this.filterPredicate;
+        }
+
+        const query = this.filterQuery.trim().toLocaleLowerCase();
+        if (!query) {
+            return null;
+        }
+        return (item) => this.filterConfig.fields.some(field => this.getFilterText(item, field).toLocaleLowerCase().includes(query));
+    }
+
+    /**
+     * 검색 대상 문자열 (화면에 표시되는 format 적용 값)
+     *
+     * @private
+     * @param {Object} item viewData 항목
+     * @param {string} field
+     * @returns {string}
+     */
+    getFilterText(item, field) {
+        const value = item?.[field];
+        return value === null || value === undefined ? "" : String(formatValue(value, this.formats[field]));
+    }
+
+    /**
+     * 데이터를 끝에 추가하고 새 항목만 렌더링한다.
+     *
+     * 기존 항목은 다시 렌더링하지 않으며, 가상 스크롤, 정렬, 검색, 표시 개수 제한(options.size, pagination)이 있는 목록은
+     * 현재 범위를 다시 렌더링한다.
+     *
+     * @param {Object[]} items 추가할 데이터 배열
+     */
+    appendData(items = []) {
+        if (!this.el) {
+            return;
+        }
+
+        const wasRendering = !this.error && !this.loading.visible && !this.custom.body;
+        this.loading.clear();
+        this.error = null;
+
+        const start = this.viewData.length;
+        // 전체 데이터를 순서대로 표시하는 목록만 viewData 끝에 추가할 수 있다.
+        const appendable = (this.infinite || this.virtual) && !this.sort.length && !this.isFiltered();
+        this.data = this.data.concat(items);
+        if (appendable) {
+            const mapper = this.schema ? utils.createMapper(this.schema) : null;
+            this.viewData.push(...(mapper ? items.map(mapper) : items));
+            this.matchCount = this.data.length;
+        } else {
+            this.setViewData();
+        }
+
+        const ul = this.bodyEl.querySelector(`:scope > ${utils.makeSelectorClassName(["listView-item-list"])}`);
+        if (appendable && !this.virtual && wasRendering && start > 0 && ul) {
+            const state = {interactive: this.isInteractive(), tabIndex: this.activeIndex, activeIndex: this.activeIndex};
+            ul.append(...this.viewData.slice(start).map((item, i) => this.renderItem(item, start + i, state)));
+            this.updateLoadMore();
+        } else {
+            this.renderBody();
+            if (this.pagination) {
+                this.renderFooter();
+            }
+        }
+
+        this.updateFilterCount();
+        // viewData를 다시 만든 경우 이벤트 handler가 새 viewData를 참조하도록 다시 바인딩한다.
+        if (appendable) {
+            utils.markEventTargets(this.el, this.options.events);
+        } else {
+            this.bindEvents();
+        }
+        this.iconEngine?.afterRender(this.bodyEl);
+
+        emitComponentEvent(this, "datachange", {data: this.data, viewData: this.viewData});
+    }
+
+    /**
+     * options.infinite의 onLoadMore로 다음 항목을 불러온다.
+     *
+     * 이미 불러오는 중이거나 더 불러올 항목이 없으면 아무것도 하지 않는다.
+     *
+     * @returns {Promise<void>} 완료(실패 포함) 시 resolve
+     */
+    loadMore() {
+        if (!this.infinite || this.loadingMore || !this.hasMore || !this.el) {
+            return Promise.resolve();
+        }
+
+        const request = ++this.loadMoreRequest;
+        const isStale = () => request !== this.loadMoreRequest || !this.el;
+        const size = this.infinite.size ?? this.options.size;
+        const offset = this.data.length;
+
+        this.loadingMore = true;
+        this.loadMoreFailed = false;
+        this.updateLoadMore();
+
+        return Promise.resolve()
+            .then(() => this.infinite.onLoadMore({offset, size}))
+            .then((result) => {
+                if (isStale()) {
+                    return;
+                }
+                const items = Array.isArray(result) ? result : result?.data ?? [];
+                this.loadingMore = false;
+                this.hasMore = result?.hasMore ?? items.length >= size;
+                this.appendData(items);
+            }, (error) => {
+                if (isStale()) {
+                    return;
+                }
+                this.loadingMore = false;
+                this.loadMoreFailed = true;
+                reportError(this, "loadMore", error);
+                this.updateLoadMore();
+            });
+    }
+
+    /**
+     * 항목 클릭 시 `itemclick` semantic 이벤트를 발생시키는 내부 리스너를 등록한다.
+     *
+     * options.events와 별개로 동작하므로 사용자 이벤트 설정에 영향을 주지 않는다.
+     *
+     * @private
+     */
+    bindComponentEvents() {
+        const selector = utils.makeSelectorClassName([], [utils.RULES.dataBindClass]);
+        const optionSelector = `${utils.makeSelectorClassName(["listView-item"])}[role="option"]`;
+
+        const offs = [
+            utils.delegate(this.el, "click", selector, (e, target) => {
+                const {index, data} = utils.resolveItemData(target, this.viewData);
+                emitComponentEvent(this, "itemclick", {index, data, target, event: e});
+            }),
+            utils.delegate(this.el, "keydown", optionSelector, (e, target) => this.handleItemKeydown(e, target)),
+            // 마우스로 focus 된 항목도 roving tabindex 대상으로 변경
+            utils.delegate(this.el, "focusin", optionSelector, (e, target) => {
+                this.setActiveItem(target._uiIndex);
+            }),
+        ];
+
+        if (this.virtual) {
+            const bodyEl = this.bodyEl;
+            const onScroll = () => this.scheduleVirtualRender();
+            bodyEl.addEventListener("scroll", onScroll, {passive: true});
+            offs.push(() => bodyEl.removeEventListener("scroll", onScroll));
+        }
+
+        // IntersectionObserver를 지원하지 않으면 "더 보기" 버튼으로만 불러온다.
+        if (this.infinite && typeof IntersectionObserver === "function") {
+            this.loadMoreObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting) && !this.loadMoreFailed) {
+                    this.loadMore();
+                }
+            }, {rootMargin: this.infinite.rootMargin});
+            this.observeLoadMore();
+            offs.push(() => {
+                this.loadMoreObserver.disconnect();
+                this.loadMoreObserver = null;
+            });
+        }
+        this.unbindComponentEvents = () => offs.forEach(off => off());
+    }
+
+    /**
+     * 항목이 선택/실행 가능한 목록(listbox)인지 여부
+     *
+     * @private
+     * @returns {boolean}
+     */
+    isInteractive() {
+        return this.options.interactive ?? this.options.events.some(ev => ev.type === "click");
+    }
+
+    /**
+     * 렌더링된 option 항목 목록
+     *
+     * @private
+     * @returns {HTMLElement[]}
+     */
+    getItemElements() {
+        return [...this.bodyEl.querySelectorAll(`${utils.makeSelectorClassName(["listView-item"])}[role="option"]`)];
+    }
+
+    /**
+     * roving tabindex 대상 항목을 변경한다.
+     *
+     * 가상 스크롤에서 focus 이동 시 항목이 보이도록 스크롤한다.
+     *
+     * @private
+     * @param {number} index 항목 index (viewData 기준, 범위를 벗어나면 처음/마지막 항목)
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=false] 항목으로 focus 이동 여부
+     * @param {boolean} [options.scroll=focus] 항목이 보이도록 스크롤 여부 (false면 focus 시에도 스크롤하지 않음)
+     */
+    setActiveItem(index, {focus = false, scroll = focus} = {}) {
+        const count = this.viewData?.length ?? 0;
+        if (!count || Number.isNaN(index)) {
+            return;
+        }
+
+        this.activeIndex = Math.max(0, Math.min(index, count - 1));
+        if (this.virtual && scroll) {
+            this.scrollToIndex(this.activeIndex);
+        }
+
+        const items = this.getItemElements();
+        items.forEach(item => {
+            const active = item._uiIndex === this.activeIndex;
+            item.setAttribute("tabindex", active ? "0" : "-1");
+            item.setAttribute("aria-selected", String(active));
+        });
+
+        if (focus) {
+            items.find(item => item._uiIndex === this.activeIndex)?.focus({preventScroll: !scroll});
+        }
+    }
+
+    /**
+     * PageUp/PageDown 이동 항목 수 (body 영역에 보이는 항목 수)
+     *
+     * @private
+     * @param {HTMLElement} itemEl 기준 항목
+     * @returns {number}
+     */
+    getPageStep(itemEl) {
+        if (this.virtual) {
+            return Math.max(1, Math.floor(this.getViewportHeight() / this.virtual.itemHeight));
+        }
+
+        const height = itemEl.offsetHeight;
+        return height > 0 ? Math.max(1, Math.floor(this.bodyEl.clientHeight / height)) : DEFAULT_PAGE_STEP;
+    }
+
+    /**
+     * 가상 스크롤 영역(body)의 높이(px)
+     *
+     * 레이아웃 전(서버 렌더링 포함)에는 itemHeight * options.size를 사용한다.
+     *
+     * @private
+     * @returns {number}
+     */
+    getViewportHeight() {
+        return this.bodyEl.clientHeight || this.virtual.itemHeight * this.options.size;
+    }
+
+    /**
+     * 현재 스크롤 위치에서 렌더링할 항목 범위 (overscan 포함)
+     *
+     * @private
+     * @returns {{start: number, end: number}} viewData index 범위 (end 미포함)
+     */
+    getVirtualRange() {
+        const {itemHeight, overscan} = this.virtual;
+        const count = this.viewData?.length ?? 0;
+        const viewport = this.getViewportHeight();
+        // 데이터가 줄어든 경우 브라우저가 scrollTop을 조정하기 전이므로 최대 스크롤 위치로 제한한다.
+        const scrollTop = Math.min(this.bodyEl.scrollTop || 0, Math.max(0, count * itemHeight - viewport));
+
+        return {
+            start: Math.max(0, Math.floor(scrollTop / itemHeight) - overscan),
+            end: Math.min(count, Math.ceil((scrollTop + viewport) / itemHeight) + overscan),
+        };
+    }
+
+    /**
+     * 항목이 보이도록 body를 스크롤하고 해당 범위를 바로 렌더링한다.
+     *
+     * @private
+     * @param {number} index viewData index
+     */
+    scrollToIndex(index) {
+        const {itemHeight} = this.virtual;
+        const top = index * itemHeight;
+        const viewport = this.getViewportHeight();
 
-        this.id = id;
-        this.title = title;
-        this.schema = schema;
-        this.custom = custom;
-        this.options = utils.deepMerge(defaultOption, userOptions);
-        this.iconEngine = iconEngine;
+        if (top < this.bodyEl.scrollTop) {
+            this.bodyEl.scrollTop = top;
+        } else if (top + itemHeight > this.bodyEl.scrollTop + viewport) {
+            this.bodyEl.scrollTop = top + itemHeight - viewport;
+        }
+        this.renderVirtualWindow();
+    }
 
-        this.el = null;
-        this.headerEl = null;
-        this.bodyEl = null;
-        this.footerEl = null;
-        this.data = [];
+    /**
+     * scroll 이벤트마다 렌더링하지 않도록 다음 frame에 한 번만 렌더링한다.
+     *
+     * @private
+     */
+    scheduleVirtualRender() {
+        if (this.virtualFrame !== null) {
+            return;
+        }
 
-        const base = new URL(".", import.meta.url).href;
-        utils.injectCss(base + "ListView.css");
+        this.virtualFrame = requestAnimationFrame(() => {
+            this.virtualFrame = null;
+            this.renderVirtualWindow();
+        });
     }
 
     /**
-     * ListView를 초기화하고 최초 렌더링을 수행한다.
+     * 렌더링 범위가 바뀌었으면 body를 다시 렌더링한다.
      *
-     * @param {Object[]} data 초기 데이터 배열
+     * options.events는 위임 방식이므로 다시 바인딩하지 않고 새 항목에 표시용 class와 아이콘만 적용한다.
+     * (afterDraw 콜백과 render 이벤트는 발생시키지 않는다)
+     *
+     * @private
      */
-    init(data) {
-        this.el = document.getElementById(this.id);
-        if (!this.el) {
-            throw new Error(`No listView element with id ${this.id}`);
+    renderVirtualWindow() {
+        if (!this.el || this.loading.visible || this.error || this.custom.body) {
+            return;
         }
 
-        this.renderLayout();
+        const {start, end} = this.getVirtualRange();
+        if (this.virtualRange?.start === start && this.virtualRange?.end === end) {
+            return;
+        }
 
-        this.data = data;
-        this.setViewData();
+        this.renderBody();
+        utils.markEventTargets(this.el, this.options.events);
+        this.iconEngine?.afterRender(this.bodyEl);
+    }
 
-        this.draw();
+    /**
+     * option 항목의 keyboard 조작을 처리한다.
+     *
+     * @private
+     * @param {KeyboardEvent} e
+     * @param {HTMLElement} itemEl
+     */
+    handleItemKeydown(e, itemEl) {
+        // 항목 내부의 다른 컨트롤에서 발생했거나 조합 키인 경우는 처리하지 않는다.
+        if (e.target !== itemEl || e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+
+        const index = itemEl._uiIndex;
+        let next;
+        switch (e.key) {
+            case "ArrowDown":
+                next = index + 1;
+                break;
+            case "ArrowUp":
+                next = index - 1;
+                break;
+            case "Home":
+                next = 0;
+                break;
+            case "End":
+                next = Infinity;
+                break;
+            case "PageDown":
+                next = index + this.getPageStep(itemEl);
+                break;
+            case "PageUp":
+                next = index - this.getPageStep(itemEl);
+                break;
+            case "Enter":
+            case " ":
+                e.preventDefault();
+                // click과 같은 handler(options.events, itemclick)가 같은 인자로 실행되도록 click을 발생시킨다.
+                itemEl.click();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        this.setActiveItem(next, {focus: true});
     }
 
     /**
@@ -118,6 +916,52 @@ class ListView {
     }
 
 
+    /**
+     * 서버에서 렌더링된 마크업(core/ssr.js의 renderToString)을 재사용하여 초기화한다.
+     *
+     * DOM을 다시 만들지 않고 patch renderer로 기존 마크업과 비교하므로,
+     * 내용이 같으면 DOM 변경 없이 이벤트, 아이콘 처리, `_ui*` 데이터만 연결된다.
+     *
+     * @param {*} data 서버 렌더링에 사용한 데이터
+     */
+    hydrate(data) {
+        this.init(data, {hydrate: true});
+    }
+
+    /**
+     * 이벤트, 아이콘 처리, 데이터 소스 없이 레이아웃과 내용만 렌더링한다.
+     *
+     * 서버 렌더링(core/ssr.js)에서 사용하며, this.el이 미리 지정되어 있어야 한다.
+     *
+     * @param {*} data 렌더링 데이터
+     */
+    renderStatic(data) {
+        this.renderLayout();
+
+        this.data = data;
+        this.setViewData();
+        this.render();
+    }
+
+    /**
+     * 서버에서 렌더링된 레이아웃 요소를 찾아 재사용한다.
+     *
+     * 하나라도 없으면 기존 내용을 비우고 레이아웃을 새로 만든다.
+     *
+     * @private
+     */
+    adoptLayout() {
+        const find = (name) => this.el.querySelector(`:scope > ${utils.makeSelectorClassName([name])}`);
+        this.headerEl = find("listView-header");
+        this.bodyEl = find("listView-body");
+        this.footerEl = find("listView-footer");
+
+        if (!this.headerEl || !this.bodyEl || !this.footerEl) {
+            utils.clear(this.el);
+            this.renderLayout();
+        }
+    }
+
     /**
      * ListView의 기본 레이아웃 구조를 생성한다.
      *
@@ -132,9 +976,14 @@ class ListView {
         this.footerEl = document.createElement("div");
 
         this.headerEl.className = utils.makeClassName(["listView-header", "header"]);
-        this.bodyEl.className = utils.makeClassName(["listView-body", "body"]);
+        this.bodyEl.className = utils.makeClassName(["listView-body", "body", ...(this.virtual ? ["listView-virtual"] : [])]);
         this.footerEl.className = utils.makeClassName(["listView-footer", "footer"]);
 
+        if (this.virtual) {
+            const {height = this.virtual.itemHeight * this.options.size} = this.virtual;
+            this.bodyEl.style.height = typeof height === "number" ? `${height}px` : height;
+        }
+
         this.el.append(
             this.headerEl,
             this.bodyEl,
@@ -142,6 +991,20 @@ class ListView {
         );
     }
 
+    /**
+     * 현재 viewData로 DOM만 렌더링한다.
+     *
+     * 이벤트 바인딩과 afterDraw(아이콘 처리, 콜백)는 수행하지 않는다.
+     *
+     * @private
+     */
+    render() {
+        this.renderHeader();
+        renderConnectionState(this.headerEl, this.connectionState);
+        this.renderBody();
+        this.renderFooter();
+    }
+
     /**
      * 내부 렌더링 메서드
      *
@@ -151,14 +1014,21 @@ class ListView {
      * @private
      */
     draw() {
-        this.renderHeader();
-        this.renderBody();
-        this.renderFooter();
+        this.render();
 
-        utils.bindEvents(this.el, this.options.events, this.viewData);
+        this.bindEvents();
         this.afterDraw();
     }
 
+    /**
+     * options.events를 바인딩한다. 핸들러 오류는 UI.onError로 보고된다.
+     *
+     * @private
+     */
+    bindEvents() {
+        utils.bindEvents(this.el, this.options.events, this.viewData, (error) => reportError(this, "event", error));
+    }
+
     /**
      * Header 영역을 렌더링한다.
      *
@@ -168,42 +1038,164 @@ class ListView {
      * @private
      */
     renderHeader() {
-        this.headerEl.textContent = "";
-
         if (this.custom.header) {
-            utils.renderCustom(this.headerEl, this.custom.header, this.getContext());
+            renderCustomSafe(this, "custom.header", this.headerEl, this.custom.header);
             return;
         }
 
+        const elements = [];
         if (this.title  && Object.keys(this.title).length > 0) {
-            const title = utils.createElement("h3", this.title.value);
-            this.headerEl.appendChild(title);
+            elements.push(utils.h("h3", this.title.value));
+        }
+        if (this.options.filter) {
+            elements.push(this.renderFilterBar());
+        } else if (this.isFiltered()) {
+            // 입력창이 없어도 setFilter로 검색 중이면 일치 건수는 표시한다.
+            elements.push(this.renderFilterCount());
+        }
+        if (this.sortFields.length) {
+            elements.push(renderSortControl(this.sort, this.sortFields, {onChange: (sort) => this.setSort(sort)}));
+        }
+        patchChildren(this.headerEl, elements);
+    }
+
+    /**
+     * header 검색 입력창과 일치 건수 (options.filter)
+     *
+     * 입력값은 바로 상태에 저장하고(다시 렌더링되어도 입력 중인 값 유지) 검색은 debounce 후 적용한다.
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    renderFilterBar() {
+        const onInput = (e) => {
+            this.filterQuery = e.currentTarget.value;
+            this.filterPredicate = null;
+            this.applyFilterLater();
+        };
+
+        return utils.h("div", {class: ["listView-filter"], role: "search", dataset: {key: "filter"}},
+            utils.h("input", {
+                class: ["listView-filter-input"],
+                type: "search",
+                value: this.filterQuery,
+                placeholder: this.filterConfig.placeholder ?? t("filter.placeholder"),
+                "aria-label": t("filter.label"),
+                onInput,
+            }),
+            this.renderFilterCount()
+        );
+    }
+
+    /**
+     * "n / m" 일치 건수
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    renderFilterCount() {
+        return utils.h("span", {class: ["listView-filter-count"], "aria-live": "polite", dataset: {key: "filter-count"}}, this.getFilterCountText());
+    }
+
+    /**
+     * "n / m" 일치 건수 문구 (검색하지 않으면 빈 문자열)
+     *
+     * @private
+     * @returns {string}
+     */
+    getFilterCountText() {
+        return this.isFiltered() ? t("filter.count", {count: this.matchCount, total: this.data?.length ?? 0}) : "";
+    }
+
+    /**
+     * header를 다시 렌더링하지 않고 일치 건수만 갱신한다.
+     *
+     * @private
+     */
+    updateFilterCount() {
+        const countEl = this.headerEl?.querySelector(utils.makeSelectorClassName(["listView-filter-count"]));
+        if (countEl) {
+            countEl.textContent = this.getFilterCountText();
         }
     }
 
     /**
      * ListView 데이터를 설정하고 다시 렌더링한다.
      *
-     * @param {Object[]} data 렌더링할 데이터 배열
+     * pagination 사용 시 현재 페이지는 유지된다.
+     *
+     * @param {Object[]} data 렌더링할 데이터 배열 (serverSide pagination이면 현재 페이지 데이터)
+     * @param {Object} [options]
+     * @param {number} [options.total] serverSide pagination의 전체 항목 수
      */
-    setData(data = []) {
-        this.clear();
+    setData(data = [], {total} = {}) {
+        this.loading.clear();
+        this.error = null;
+        this.data = data;
+        if (total !== undefined) {
+            this.total = total;
+        }
+        // 이어 불러오기 상태 초기화 (진행 중인 onLoadMore 응답은 무시)
+        this.hasMore = true;
+        this.loadingMore = false;
+        this.loadMoreFailed = false;
+        this.loadMoreRequest++;
         // 데이터 전처리
         this.setViewData();
 
         this.renderBody();
+        if (this.pagination) {
+            this.renderFooter();
+        }
+        this.updateFilterCount();
 
-        utils.bindEvents(this.el, this.options.events, this.viewData);
+        this.bindEvents();
         this.afterDraw();
+
+        emitComponentEvent(this, "datachange", {data: this.data, viewData: this.viewData});
     }
 
     setViewData() {
-        if (!this.schema) {
-            this.viewData = this.data.slice(0, this.options.size);
-        } else {
-            const mapper = utils.createMapper(this.schema);
-            this.viewData = this.data.slice(0, this.options.size).map(mapper);
+        const mapper = this.schema ? utils.createMapper(this.schema) : null;
+        const filter = this.createFilter();
+
+        // 검색과 정렬은 표시 범위(size, pagination)를 자르기 전에 매핑된 값 기준으로 수행한다.
+        if (filter || this.sort.length) {
+            let items = mapper ? this.data.map(mapper) : this.data;
+            if (filter) {
+                items = items.filter(item => filter(item));
+            }
+            this.matchCount = items.length;
+            this.viewData = this.getPageData(this.sort.length ? sortItems(items, this.sort, this.sortFields) : items);
+            return;
+        }
+
+        this.matchCount = this.data.length;
+        const pageData = this.getPageData(this.data);
+        this.viewData = mapper ? pageData.map(mapper) : pageData;
+    }
+
+    /**
+     * 현재 페이지에 표시할 데이터를 반환한다.
+     *
+     * client pagination이면 데이터가 줄어 현재 페이지가 없어진 경우 마지막 페이지로 이동한다.
+     *
+     * @private
+     * @param {Object[]} data 전체 데이터 (정렬된 경우 정렬 결과)
+     * @returns {Object[]}
+     */
+    getPageData(data) {
+        const {size} = this.options;
+        if (!this.pagination && (this.virtual || this.infinite)) {
+            return data.slice();
         }
+        if (!this.pagination || this.pagination.serverSide) {
+            return data.slice(0, size);
+        }
+
+        this.page = Math.min(this.page, getPageCount(data.length, size));
+        const start = (this.page - 1) * size;
+        return data.slice(start, start + size);
     }
 
     getData() {
@@ -233,80 +1225,266 @@ class ListView {
      * 데이터가 없으면 emptyText를 표시한다.
      *
      * custom.body가 정의되어 있으면 해당 렌더러를 사용한다.
+     * 기본 렌더링은 새 목록을 만든 뒤 patch renderer로 변경된 항목만 반영한다.
      *
      * @private
      */
     renderBody() {
-        this.bodyEl.textContent = "";
+        if (renderLoadingBody(this) || renderErrorBody(this)) {
+            return;
+        }
 
         if (this.custom.body) {
-            utils.renderCustom(this.bodyEl, this.custom.body, this.getContext());
+            renderCustomSafe(this, "custom.body", this.bodyEl, this.custom.body);
             return;
         }
 
-        const ul = document.createElement("ul");
-        ul.className = utils.makeClassName(["listView-item-list"]);
+        const count = this.viewData?.length ?? 0;
+        const interactive = this.isInteractive() && count > 0;
+        const activeIndex = Math.min(this.activeIndex, count - 1);
+        const hadFocus = this.bodyEl.contains(document.activeElement);
+        // focus 된 항목은 스크롤 범위를 벗어나도 DOM에 유지한다. (keyboard 이동 기준 유지)
+        const indices = this.getRenderIndices(hadFocus ? activeIndex : -1);
+        // 가상 스크롤에서 active 항목이 렌더링되지 않았으면 첫 항목으로 Tab 진입
+        const tabIndex = indices.includes(activeIndex) ? activeIndex : indices[0];
+        const {itemHeight} = this.virtual ?? {};
+        const ul = utils.h("ul", {
+            class: ["listView-item-list"],
+            role: interactive ? "listbox" : "list",
+            "aria-label": this.title?.value,
+            style: this.virtual && count ? {height: `${count * itemHeight}px`} : null,
+        });
 
-        if (this.viewData?.length) {
-            this.viewData.forEach((item, index) => {
-                const li = document.createElement("li");
-                li.dataset.index = index.toString();
-                li["_uiIndex"] = index;// 이벤트 성능 용
+        if (count) {
+            indices.forEach(index => {
+                ul.appendChild(this.renderItem(this.viewData[index], index, {interactive, tabIndex, activeIndex}));
+            });
+        } else if (!this.loading.active && !this.loadingMore) {
+            const emptyText = this.isFiltered() && this.data?.length ? t("filter.empty") : this.options.emptyText ?? t("empty");
+            ul.appendChild(utils.h("li", {class: [["listView-item"], ["empty"]], role: "listitem"}, emptyText));
+        }
 
-                if (item.error) {
-                    li.textContent = item.error || this.options.errorMsg;
-                    li.className = utils.makeClassName(["listView-item","error"], []);
-                } else {
-                    li.className = utils.makeClassName(["listView-item"], [utils.RULES.dataBindClass]);
-                    /* html 속성에 data 저장 기능(필요하면 추가)
-                    Object.entries(item).forEach(([key, value]) => {
-                        // HTML 속성으로 안전하게 변환 (특수문자 등)
-                        const safeKey = key.replace(/[^a-zA-Z0-9\-_]/g, "_");
-                        li.dataset[safeKey] = value;
-                    }); */
-                    if (item.icon) {
-                        const iconEl = this.renderIcon(item.icon);
-                        if (iconEl) {
-                            li.appendChild(iconEl);
-                        }
-                    }
-                    if (item.title) {
-                        li.appendChild(this.renderContent(item));
-                    }
-                    if (item.rightType) {
-                        const right = this.renderRightComponent(item);
-                        if (right) {
-                            li.appendChild(right);
-                        }
-                    }
-                }
+        patchChildren(this.bodyEl, this.infinite && this.hasMore ? [ul, this.renderLoadMore()] : [ul]);
+        this.observeLoadMore();
 
+        // focus 된 항목이 데이터 갱신으로 제거되면 active 항목으로 focus를 옮긴다.
+        // (가상 스크롤은 patch 중 이동된 항목의 focus를 복원하는 것이므로 스크롤 위치를 유지한다)
+        if (interactive && hadFocus && !this.bodyEl.contains(document.activeElement)) {
+            this.setActiveItem(activeIndex, {focus: true, scroll: !this.virtual});
+        }
+    }
 
-                ul.appendChild(li);
-            });
-        } else {
-            const emptyLi = document.createElement("li");
-            emptyLi.className = utils.makeClassName(["listView-item"], "empty");
-            emptyLi.textContent = this.options.emptyText;
-            ul.appendChild(emptyLi);
+    /**
+     * 항목(li) 요소를 생성한다.
+     *
+     * @private
+     * @param {Object} item viewData 항목
+     * @param {number} index viewData index
+     * @param {Object} state
+     * @param {boolean} state.interactive option 항목 여부
+     * @param {number} state.tabIndex Tab으로 진입할 항목 index
+     * @param {number} state.activeIndex 선택된 항목 index
+     * @returns {HTMLElement}
+     */
+    renderItem(item, index, {interactive, tabIndex, activeIndex}) {
+        const {itemHeight} = this.virtual ?? {};
+        /* html 속성에 data 저장 기능(필요하면 추가)
+        Object.entries(item).forEach(([key, value]) => {
+            // HTML 속성으로 안전하게 변환 (특수문자 등)
+            const safeKey = key.replace(/[^a-zA-Z0-9\-_]/g, "_");
+            li.dataset[safeKey] = value;
+        }); */
+        return utils.h("li", {
+                dataset: {index, key: this.getItemKey(item, index)},
+                class: [["listView-item"], [utils.RULES.dataBindClass]],
+                role: interactive ? "option" : "listitem",
+                tabindex: interactive ? (index === tabIndex ? "0" : "-1") : null,
+                "aria-selected": interactive ? String(index === activeIndex) : null,
+                // 일부 항목만 DOM에 있으므로 전체 개수와 위치를 screen reader에 전달
+                "aria-setsize": this.virtual ? this.viewData.length : null,
+                "aria-posinset": this.virtual ? index + 1 : null,
+                style: this.virtual ? {top: `${index * itemHeight}px`, height: `${itemHeight}px`} : null,
+                _uiIndex: index, // 이벤트 성능 용
+            },
+            item.icon ? this.renderIcon(item.icon) : null,
+            item.title ? this.renderContent(item) : null,
+            item.rightType ? this.renderRightComponent(item) : null
+        );
+    }
+
+    /**
+     * 목록 끝의 "더 보기" 영역 생성 (options.infinite)
+     *
+     * IntersectionObserver가 이 영역을 감시하며, 불러오는 중에는 로딩 문구를 표시한다.
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    renderLoadMore() {
+        return utils.h("div", {class: ["listView-more"], dataset: {key: "more"}}, this.renderLoadMoreContent());
+    }
+
+    /**
+     * "더 보기" 영역의 내용 (로딩 문구 또는 버튼)
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    renderLoadMoreContent() {
+        if (this.loadingMore) {
+            return utils.h("span", {class: ["listView-more-loading"], role: "status"}, t("loading"));
+        }
+        return utils.h("button", {
+            class: ["listView-more-button"],
+            type: "button",
+            onClick: () => this.loadMore(),
+        }, this.loadMoreFailed ? t("retry") : t("pagination.more"));
+    }
+
+    /**
+     * 목록은 그대로 두고 "더 보기" 영역만 갱신한다.
+     *
+     * @private
+     */
+    updateLoadMore() {
+        if (!this.el || !this.infinite) {
+            return;
+        }
+
+        const moreEl = this.bodyEl.querySelector(`:scope > ${utils.makeSelectorClassName(["listView-more"])}`);
+        if (!moreEl || !this.hasMore) {
+            // 표시 여부가 바뀌었거나 목록이 렌더링되지 않은 상태(로딩, 오류 등)
+            this.renderBody();
+            return;
+        }
+
+        patchChildren(moreEl, [this.renderLoadMoreContent()]);
+        this.observeLoadMore();
+    }
+
+    /**
+     * "더 보기" 영역을 다시 감시한다.
+     *
+     * 항목을 추가한 뒤에도 영역이 계속 보이면 바로 다음 항목을 불러오도록 매 렌더링마다 다시 등록한다.
+     * (IntersectionObserver는 등록 시 현재 교차 상태를 한 번 전달한다)
+     *
+     * @private
+     */
+    observeLoadMore() {
+        if (!this.loadMoreObserver) {
+            return;
+        }
+
+        this.loadMoreObserver.disconnect();
+        const moreEl = this.bodyEl.querySelector(`:scope > ${utils.makeSelectorClassName(["listView-more"])}`);
+        if (moreEl && !this.loadingMore) {
+            this.loadMoreObserver.observe(moreEl);
+        }
+    }
+
+    /**
+     * 렌더링할 viewData index 목록
+     *
+     * 가상 스크롤이면 현재 스크롤 범위만 반환하고 범위를 기록한다.
+     *
+     * @private
+     * @param {number} keepIndex 범위 밖이어도 포함할 index (-1이면 없음)
+     * @returns {number[]}
+     */
+    getRenderIndices(keepIndex) {
+        const count = this.viewData?.length ?? 0;
+        if (!this.virtual) {
+            return [...Array(count).keys()];
         }
 
-        this.bodyEl.appendChild(ul);
+        const {start, end} = this.getVirtualRange();
+        this.virtualRange = {start, end};
+
+        const indices = [];
+        for (let index = start; index < end; index++) {
+            indices.push(index);
+        }
+        if (keepIndex >= 0 && (keepIndex < start || keepIndex >= end)) {
+            indices.push(keepIndex);
+            indices.sort((a, b) => a - b);
+        }
+        return indices;
+    }
+
+    /**
+     * 로딩 중 표시할 skeleton 목록을 생성한다. (options.size 만큼의 행)
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    renderSkeleton() {
+        const ul = utils.h("ul", {
+            class: ["listView-item-list", "listView-skeleton"],
+            role: "status",
+            "aria-label": t("loading"),
+        });
+
+        for (let index = 0; index < this.options.size; index++) {
+            ul.appendChild(utils.h("li", {class: ["listView-item"], dataset: {key: `skeleton-${index}`}},
+                createSkeleton("listView-skeleton-icon"),
+                utils.h("div", {class: ["listView-item-content"]},
+                    createSkeleton("skeleton-title"),
+                    createSkeleton("skeleton-text"))
+            ));
+        }
+
+        return ul;
+    }
+
+    /**
+     * patch renderer에서 항목을 매칭할 key를 반환한다.
+     *
+     * options.key가 없거나 항목에 값이 없으면 index를 사용한다.
+     *
+     * @private
+     * @param {Object} item viewData 항목
+     * @param {number} index
+     * @returns {string}
+     */
+    getItemKey(item, index) {
+        const {key} = this.options;
+        if (typeof key === "function") {
+            return String(key(item, index));
+        }
+        if (key && item?.[key] != null) {
+            return String(item[key]);
+        }
+        return String(index);
     }
 
     /**
      * Footer 영역을 렌더링한다.
      *
-     * custom.footer가 정의되어 있으면 해당 렌더러를 사용한다.
+     * custom.footer가 정의되어 있으면 해당 렌더러를 사용하고,
+     * 그렇지 않으면 options.pagination 사용 시 pager를 출력한다.
      *
      * @private
      */
     renderFooter() {
-        this.footerEl.textContent = "";
-
         if (this.custom.footer) {
-            utils.renderCustom(this.footerEl, this.custom.footer, this.getContext());
+            renderCustomSafe(this, "custom.footer", this.footerEl, this.custom.footer);
+            return;
         }
+
+        patchChildren(this.footerEl, this.pagination ? [this.renderPager()] : []);
+    }
+
+    /**
+     * pager 생성 (options.pagination)
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    renderPager() {
+        return renderPager({page: this.page, size: this.options.size, total: this.getTotal()}, {
+            maxButtons: this.pagination.maxButtons,
+            onChange: (page) => this.setPage(page),
+        });
     }
 
     /**
@@ -335,23 +1513,41 @@ class ListView {
             // context 생성
             const context = Object.freeze(this.getContext());
 
-            this.options.afterDraw(context);
+            callHook(this, "afterDraw", this.options.afterDraw, context);
         }
+
+        emitComponentEvent(this, "render", {viewData: this.viewData});
     }
 
     /**
      * ListView를 제거하고 내부 상태를 초기화한다.
      * 이벤트 및 DOM 참조를 해제한다.
+     *
+     * 루트 요소(this.el)는 문서에서 제거하지 않고 렌더링한 내용(header/body/footer)만 비운다.
+     * 요소까지 제거해야 하면 destroy 후 직접 `el.remove()`를 호출한다.
      */
     destroy() {
         if (!this.el) {
             return;
         }
 
+        emitComponentEvent(this, "destroy");
+        this.unbindComponentEvents?.();
+        this.unbindComponentEvents = null;
+
+        this.dataSource?.stop();
+        this.dataSource = null;
+        this.loading.clear();
+        if (this.virtualFrame !== null) {
+            cancelAnimationFrame(this.virtualFrame);
+            this.virtualFrame = null;
+        }
+        this.applyFilterLater.cancel();
+
         utils.unbindEvents(this.el);
 
-        // Dom에서 제거
-        this.el.remove();
+        // 렌더링한 내용만 제거 (루트 요소는 페이지 소유이므로 유지)
+        utils.clear(this.el);
 
         // 내부 참조 제거
         this.el = null;
@@ -370,13 +1566,7 @@ class ListView {
         if (!this.iconEngine) {
             return null;
         }
-        const div = document.createElement("div");
-        div.className = utils.makeClassName(["listView-item-icon"]);
-        const iconEl = this.iconEngine.getIcon(icon);
-        if (iconEl) {
-            div.appendChild(iconEl);
-        }
-        return div;
+        return utils.h("div", {class: ["listView-item-icon"]}, this.iconEngine.getIcon(icon));
     }
 
     /**
@@ -388,22 +1578,44 @@ class ListView {
      * @returns {HTMLElement} 콘텐츠 요소
      */
     renderContent(data) {
-        const div = document.createElement("div");
-        div.className = utils.makeClassName(["listView-item-content"]);
+        return utils.h("div", {class: ["listView-item-content"]},
+            utils.h("span", {class: ["listView-item-title"]}, this.renderHighlight(formatValue(data.title, this.formats.title), "title")),
+            data.subText ? utils.h("span", {class: ["listView-item-subText"]}, this.renderHighlight(formatValue(data.subText, this.formats.subText), "subText")) : null
+        );
+    }
 
-        const title = document.createElement("span");
-        title.className = utils.makeClassName(["listView-item-title"]);
-        title.textContent = data.title;
-        div.appendChild(title);
+    /**
+     * 검색어와 일치하는 부분을 `<mark>`로 강조한다.
+     *
+     * 검색어가 없거나 검색 대상 field가 아니면 문자열을 그대로 반환한다.
+     *
+     * @private
+     * @param {string} text 표시 문자열
+     * @param {string} field viewData field
+     * @returns {string|Array<string|HTMLElement>}
+     */
+    renderHighlight(text, field) {
+        const query = this.filterPredicate ? "" : this.filterQuery.trim().toLocaleLowerCase();
+        if (!query || !this.filterConfig.fields.includes(field)) {
+            return text;
+        }
 
-        if (data.subText) {
-            const subText = document.createElement("span");
-            subText.className = utils.makeClassName(["listView-item-subText"]);
-            subText.textContent = data.subText;
-            div.appendChild(subText);
+        const source = String(text);
+        const lower = source.toLocaleLowerCase();
+        // 소문자 변환으로 길이가 바뀌는 문자가 있으면 위치를 맞출 수 없으므로 강조하지 않는다.
+        if (lower.length !== source.length) {
+            return source;
         }
 
-        return div;
+        const parts = [];
+        let from = 0;
+        let at;
+        while ((at = lower.indexOf(query, from)) !== -1) {
+            parts.push(source.slice(from, at), utils.h("mark", {class: ["listView-highlight"]}, source.slice(at, at + query.length)));
+            from = at + query.length;
+        }
+        parts.push(source.slice(from));
+        return parts;
     }
 
     /**
@@ -431,10 +1643,7 @@ class ListView {
      * @returns {HTMLElement}
      */
     createIp(ip) {
-        const span = document.createElement("span");
-        span.className = utils.makeClassName(["listView-right"], ["ip"]);
-        span.textContent = ip;
-        return span;
+        return utils.h("span", {class: [["listView-right"], ["ip"]]}, ip);
     }
 
     /**
@@ -444,10 +1653,11 @@ class ListView {
      * @returns {HTMLElement}
      */
     createStatus(status) {
-        const span = document.createElement("span");
-        span.className = utils.makeClassName(["listView-right"], ["status-badge", (status || "").toLowerCase()]);
-        span.textContent = status;
-        return span;
+        // 상태 값만 읽히지 않도록 "상태: {status}" 문구를 screen reader용으로 함께 출력
+        return utils.h("span", {class: [["listView-right"], ["status-badge", (status || "").toLowerCase()]]},
+            status ? utils.h("span", {class: ["sr-only"]}, t("aria.status", {status})) : null,
+            status ? utils.h("span", {"aria-hidden": "true"}, status) : null
+        );
     }
 
     /**
@@ -1,4 +1,13 @@
 import * as utils from "../../utils/utils.js";
+import {startComponentDataSource} from "../../core/dataSource.js";
+import {renderConnectionState} from "../../core/stream.js";
+import {emitComponentEvent} from "../../core/eventBus.js";
+import {t} from "../../core/i18n.js";
+import {formatValue, resolveFormats} from "../../core/format.js";
+import {patchChildren} from "../../core/patch.js";
+import {createComponentLoading, createSkeleton, renderLoadingBody, setComponentLoading} from "../../core/loading.js";
+import {renderErrorBody, setComponentError} from "../../core/errorState.js";
+import {callHook, renderCustomSafe, reportError} from "../../core/errorBoundary.js";
 
 /**
  * 데이터 기반으로 동적으로 렌더링되는 Node UI 컴포넌트
@@ -12,11 +21,25 @@ import * as utils from "../../utils/utils.js";
  * custom body를 통해 외부 렌더링 확장 가능
  */
 class Node {
+    /**
+     * UI wrapper에 추가로 노출할 메서드
+     */
+    static handleMethods = ["setConnectionState", "setLoading", "setError"];
+
+    /**
+     * 컴포넌트 CSS 경로 (Shadow DOM에서 adopt 할 때도 사용)
+     */
+    static cssUrl = new URL("Node.css", import.meta.url).href;
+
     /**
      * @typedef {Object} NodeOptions
-     * @property {string} [emptyText] 데이터가 없을 때 표시할 문구
+     * @property {string} [emptyText] 데이터가 없을 때 표시할 문구 (기본: locale 메시지 "empty")
+     * @property {string} [errorMsg] 오류 시 표시할 문구 (기본: locale 메시지 "error")
+     * @property {number} [loadingDelay=200] setLoading(true) 후 skeleton을 표시하기까지 대기 시간(ms)
+     * @property {Object.<string, string|Object|Function>} [format] detail item key별 format spec (예: `{memory: "bytes"}`)
      * @property {Array<Object>} [events] bindEvents에 전달될 이벤트 목록
      * @property {Function} [afterDraw] 렌더링 완료 후 실행될 콜백
+     * @property {import("../../core/dataSource.js").DataSourceOptions} [dataSource] 원격 데이터 소스 설정
      */
 
     /**
@@ -31,45 +54,136 @@ class Node {
     /**
      * @param {Object} params
      * @param {string} params.id 렌더링 대상 DOM id
+     * @param {HTMLElement} [params.el] 렌더링 대상 요소 (지정하면 id로 찾지 않음)
      * @param {NodeOptions} [params.options]
      * @param {Object} [params.custom] custom 렌더링 옵션
      * @param {Object} [params.iconEngine] 아이콘 처리 엔진
+     * @param {boolean} [params.embedded=false] 다른 컴포넌트(NodeGroup)가 소유한 하위 Node인지 여부 (내부용).
+     * true이면 semantic 이벤트를 발생시키지 않는다. (소유 컴포넌트가 대신 발생)
      */
-    constructor({id, options: userOptions = {}, custom = {}, iconEngine = null} = {}) {
+    constructor({id, el = null, options: userOptions = {}, custom = {}, iconEngine = null, embedded = false} = {}) {
         const defaultOption = {
-            emptyText: "데이터 없음",
             events: [],
-            errorMsg: "처리중 오류가 발생했습니다.",
         }
 
-        this.id = id;
+        this.id = id || el?.id;
         this.custom = custom;
         this.options = utils.deepMerge(defaultOption, userOptions);
+        this.formats = resolveFormats(null, this.options.format);
         this.iconEngine = iconEngine;
+        this.embedded = embedded;
 
-        this.el = null;
+        this.el = el;
         this.bodyEl = null;
+        this.dataSource = null;
+        this.connectionState = null;
+        this.error = null; // setError 상태 {error, retry}
+        this.loading = createComponentLoading(this);
 
-        const base = new URL(".", import.meta.url).href;
-        utils.injectCss(base + "Node.css");
+        utils.injectCss(Node.cssUrl);
     }
 
     /**
      * 초기화 및 첫 렌더링 수행
      * @param {Array<Object>} data 렌더링 데이터
+     * @param {Object} [options]
+     * @param {boolean} [options.hydrate=false] true면 기존(서버 렌더링) 레이아웃을 재사용한다. ({@link hydrate})
      */
-    init(data) {
-        this.el = document.getElementById(this.id);
+    init(data, {hydrate = false} = {}) {
+        this.el = this.el || document.getElementById(this.id);
         if (!this.el) {
             throw new Error(`No node element with id ${this.id}`);
         }
 
-        this.renderLayout();
+        if (hydrate) {
+            this.adoptLayout();
+        } else {
+            this.renderLayout();
+        }
 
         this.data = data;
         this.setViewData();
 
         this.draw();
+        this.bindComponentEvents();
+        startComponentDataSource(this);
+    }
+
+    /**
+     * 스트림 연결 상태를 루트 요소에 표시한다.
+     *
+     * @param {import("../../core/stream.js").StreamState|null} state 연결 상태 (null이면 표시 제거)
+     */
+    setConnectionState(state) {
+        this.connectionState = state;
+        renderConnectionState(this.el, state);
+    }
+
+    /**
+     * 로딩 상태를 설정한다.
+     *
+     * options.loadingDelay가 지나도 로딩 중이면 노드 카드 형태의 skeleton을 표시한다.
+     * 다음 setData 호출 시 자동으로 해제된다.
+     *
+     * @param {boolean} [loading=true]
+     */
+    setLoading(loading = true) {
+        setComponentLoading(this, loading);
+    }
+
+    /**
+     * 오류 상태를 설정하고 body에 오류 패널을 표시한다.
+     *
+     * - 문자열은 그대로 표시하고, Error 객체는 options.errorMsg(기본: locale 메시지 "error")로 표시한다.
+     * - retry를 생략하면 options.dataSource가 있을 때 데이터 소스를 다시 요청하는 버튼을 표시한다.
+     *   `retry: false`이면 버튼을 표시하지 않는다.
+     * - 다음 setData 호출 시 해제되며, `setError(null)`로 직접 해제할 수도 있다.
+     *
+     * @param {Error|string|null} error 오류 또는 표시할 문구
+     * @param {Object} [options]
+     * @param {Function|false} [options.retry] 다시 시도 버튼 클릭 시 실행할 함수 (Promise 반환 가능)
+     *
+     * @example
+     * fetchServers().then(data => ui.setData(data), error => ui.setError(error, {retry: load}));
+     */
+    setError(error, {retry} = {}) {
+        setComponentError(this, error, {retry});
+    }
+
+    /**
+     * semantic 이벤트용 내부 리스너를 등록한다.
+     *
+     * - action 버튼 클릭 → `actionclick` (index: 버튼 순서, data: 버튼 데이터, node: 노드 전체 데이터)
+     * - 그 외 노드 영역 클릭 → `itemclick`
+     *
+     * @private
+     */
+    bindComponentEvents() {
+        const buttonSelector = utils.makeSelectorClassName(["detail-button"]);
+        const itemSelector = utils.makeSelectorClassName([], [utils.RULES.dataBindClass]);
+
+        const offAction = utils.delegate(this.el, "click", buttonSelector, (e, target) => {
+            emitComponentEvent(this, "actionclick", {
+                index: target._uiIndex,
+                data: target._uiAction,
+                node: this.viewData,
+                target,
+                event: e
+            });
+        });
+
+        const offItem = utils.delegate(this.el, "click", itemSelector, (e, target) => {
+            if (e.target.closest(buttonSelector)) {
+                return;
+            }
+            const {index, data} = utils.resolveItemData(target, this.viewData);
+            emitComponentEvent(this, "itemclick", {index, data, target, event: e});
+        });
+
+        this.unbindComponentEvents = () => {
+            offAction();
+            offItem();
+        };
     }
 
     /**
@@ -95,37 +209,105 @@ class Node {
         this.viewData = [];
     }
 
+    /**
+     * 서버에서 렌더링된 마크업(core/ssr.js의 renderToString)을 재사용하여 초기화한다.
+     *
+     * DOM을 다시 만들지 않고 patch renderer로 기존 마크업과 비교하므로,
+     * 내용이 같으면 DOM 변경 없이 이벤트, 아이콘 처리, `_ui*` 데이터만 연결된다.
+     *
+     * @param {*} data 서버 렌더링에 사용한 데이터
+     */
+    hydrate(data) {
+        this.init(data, {hydrate: true});
+    }
+
+    /**
+     * 이벤트, 아이콘 처리, 데이터 소스 없이 레이아웃과 내용만 렌더링한다.
+     *
+     * 서버 렌더링(core/ssr.js)에서 사용하며, this.el이 미리 지정되어 있어야 한다.
+     *
+     * @param {*} data 렌더링 데이터
+     */
+    renderStatic(data) {
+        this.renderLayout();
+
+        this.data = data;
+        this.setViewData();
+        this.render();
+    }
+
+    /**
+     * 서버에서 렌더링된 레이아웃 요소를 찾아 재사용한다.
+     *
+     * 하나라도 없으면 기존 내용을 비우고 레이아웃을 새로 만든다.
+     *
+     * @private
+     */
+    adoptLayout() {
+        const find = (name) => this.el.querySelector(`:scope > ${utils.makeSelectorClassName([name])}`);
+        this.bodyEl = find("node");
+
+        if (!this.bodyEl) {
+            utils.clear(this.el);
+            this.renderLayout();
+        }
+    }
+
     /**
      * 기본 레이아웃 DOM 구조 생성
      * root 내부에 body 영역을 구성한다.
      * @private
      */
     renderLayout() {
-        const className = utils.makeClassName(["node", "body"]);
-        this.bodyEl = utils.createElement("div", "", className);
+        this.bodyEl = utils.h("div", {class: ["node", "body"]});
 
         this.el.appendChild(this.bodyEl);
     }
 
+    /**
+     * 현재 viewData로 DOM만 렌더링한다.
+     *
+     * 이벤트 바인딩과 afterDraw(아이콘 처리, 콜백)는 수행하지 않는다.
+     *
+     * @private
+     */
+    render() {
+        this.renderBody();
+        renderConnectionState(this.el, this.connectionState);
+    }
+
     /**
      * body 렌더링 및 이벤트 바인딩 수행
      */
     draw() {
-        this.renderBody();
+        this.render();
 
-        utils.bindEvents(this.el, this.options.events, this.viewData);
+        this.bindEvents();
         this.afterDraw();
     }
 
+    /**
+     * options.events를 바인딩한다. 핸들러 오류는 UI.onError로 보고된다.
+     *
+     * @private
+     */
+    bindEvents() {
+        utils.bindEvents(this.el, this.options.events, this.viewData, (error) => reportError(this, "event", error));
+    }
+
     /**
      * 데이터를 설정하고 다시 렌더링
      * @param {Array<Object>} data
      */
     setData(data = []) {
+        this.loading.clear();
+        this.error = null;
         this.data = data;
         this.setViewData();
 
         this.draw();
+
+        emitComponentEvent(this, "datachange", {data: this.data, viewData: this.viewData});
     }
 
     setViewData() {
@@ -155,18 +337,18 @@ class Node {
      * custom.body가 존재하면 해당 렌더러를 사용
      */
     renderBody() {
-        this.bodyEl.textContent = "";
+        if (renderLoadingBody(this) || renderErrorBody(this)) {
+            return;
+        }
 
         if (this.custom.body) {
-            utils.renderCustom(this.bodyEl, this.custom.body, this.getContext());
+            renderCustomSafe(this, "custom.body", this.bodyEl, this.custom.body);
             return;
         }
 
         const wrapper = this.createBodyWrapper();
 
-        if('error' in this.viewData) {
-            this.renderError(wrapper);
-        } else if (Array.isArray(this.viewData) && this.viewData.length > 0) {
+        if (Array.isArray(this.viewData) && this.viewData.length > 0) {
             wrapper.classList.add(utils.makeClassName([], [utils.RULES.dataBindClass]));
             wrapper.dataset.index = "0";
             wrapper["_uiIndex"] = 0;// 이벤트 성능 용
@@ -186,20 +368,23 @@ class Node {
                         break;
                 }
             });
-        } else {
+        } else if (!this.loading.active) {
             this.renderEmpty(wrapper);
         }
 
-        this.bodyEl.appendChild(wrapper);
+        patchChildren(this.bodyEl, [wrapper]);
     }
 
     /**
-     * error 상태 렌더링
-     * @param {HTMLElement} wrapper
+     * 로딩 중 표시할 skeleton 생성 (tag, detail, status 자리)
+     * @returns {HTMLElement}
      */
-    renderError(wrapper) {
-        wrapper.classList.add(uiUtils.makeClassName(["error"]));
-        wrapper.textContent = this.viewData.error || this.options.errorMsg;
+    renderSkeleton() {
+        return utils.h("div", {class: ["node-row"], role: "status", "aria-label": t("loading")},
+            createSkeleton("node-skeleton-tag"),
+            utils.h("div", {class: ["node-details"]}, createSkeleton("skeleton-text"), createSkeleton("skeleton-text")),
+            createSkeleton("node-skeleton-status")
+        );
     }
 
     /**
@@ -207,8 +392,7 @@ class Node {
      * @returns {HTMLElement}
      */
     createBodyWrapper() {
-        const className = utils.makeClassName(["node-row"]);
-        return utils.createElement("div", undefined, className);
+        return utils.h("div", {class: ["node-row"]});
     }
 
     /**
@@ -217,7 +401,7 @@ class Node {
      */
     renderEmpty(wrapper) {
         wrapper.classList.add("empty");
-        wrapper.textContent = this.options.emptyText;
+        wrapper.textContent = this.options.emptyText ?? t("empty");
     }
 
     /**
@@ -226,8 +410,7 @@ class Node {
      * @returns {HTMLDivElement}
      */
     renderTag(data) {
-        const className = utils.makeClassName(["tag"], [data.value.toLowerCase()]);
-        return utils.createElement("div", data.value, className);
+        return utils.h("div", {class: [["tag"], [data.value.toLowerCase()]]}, data.value);
     }
 
     /**
@@ -236,8 +419,7 @@ class Node {
      * @returns {HTMLDivElement}
      */
     renderDetails(detailData) {
-        const detailsClassName = utils.makeClassName(["node-details"], []);
-        const nodeDetailsEl = utils.createElement("div", "", detailsClassName);
+        const nodeDetailsEl = utils.h("div", {class: ["node-details"]});
 
         detailData.forEach((d, index) => {
             nodeDetailsEl.appendChild(this.renderDetailItem(d, index));
@@ -254,28 +436,17 @@ class Node {
      * @returns {HTMLDivElement}
      */
     renderDetailItem(data, index) {
-        const className = utils.makeClassName(["detail-item"], []);
-        const detailItemEl = utils.createElement("div", "", className);
-
-        detailItemEl.dataset.index = index;     // dataset 방식 (추천)
-        detailItemEl._uiIndex = index;          // 기존 패턴 유지용
-
-        Object.entries(data).forEach(([key, value]) => {
+        const spans = Object.entries(data)
             // meta data는 바인딩하지 않음
-            if(key === 'meta') {
-                return;
-            }
-            
-            const span = utils.createElement(
-                "span",
-                value,
-                key  // key를 class로 사용
-            );
-
-            detailItemEl.appendChild(span);
-        });
-
-        return detailItemEl;
+            .filter(([key]) => key !== "meta")
+            // key를 class로 사용
+            .map(([key, value]) => utils.h("span", {class: key}, formatValue(value, this.formats[key])));
+
+        return utils.h("div", {
+            class: ["detail-item"],
+            dataset: {index},   // dataset 방식 (추천)
+            _uiIndex: index,    // 기존 패턴 유지용
+        }, spans);
     }
 
     /**
@@ -284,8 +455,7 @@ class Node {
      * @returns {HTMLDivElement}
      */
     renderActions(actionData) {
-        const detailsClassName = utils.makeClassName(["node-actions"], []);
-        const actionEl = utils.createElement("div", "", detailsClassName);
+        const actionEl = utils.h("div", {class: ["node-actions"]});
 
         actionData.forEach((d, index) => {
             switch (d.type) {
@@ -312,34 +482,24 @@ class Node {
      * @returns {HTMLButtonElement}
      */
     renderButton(buttonData, index) {
-        const className = utils.makeClassName(["detail-button", "button"], [buttonData.class])
-
-        let button;
-        if (buttonData.valueType === "icon") {
-            const iconEl = this.iconEngine.getIcon(buttonData.value);
-            button = utils.createElement("button", undefined, className);
-            button.appendChild(iconEl);
-        } else {
-            button = utils.createElement("button", buttonData.value, className);
-        }
-
-        button.dataset.index = index;     // dataset 방식 (추천)
-        button._uiIndex = index;          // 기존 패턴 유지용
-
-        if (buttonData.disabled) {
-            button.disabled = true;
-        }
-
-        if (buttonData.onClick) {
-            button.addEventListener("click", buttonData.onClick);
-        }
-
-        return button;
+        const onClick = buttonData.onClick
+            ? (e) => callHook(this, "action", buttonData.onClick.bind(e.currentTarget), e)
+            : null;
+
+        return utils.h("button", {
+                class: [["detail-button", "button"], [buttonData.class]],
+                dataset: {index},           // dataset 방식 (추천)
+                _uiIndex: index,            // 기존 패턴 유지용
+                _uiAction: buttonData,      // actionclick 이벤트 payload 용
+                disabled: Boolean(buttonData.disabled),
+                onClick,
+            },
+            buttonData.valueType === "icon" ? this.iconEngine.getIcon(buttonData.value) : buttonData.value
+        );
     }
 
     renderStatus(data) {
-        const className = utils.makeClassName([], ["status-badge", data.value.toLowerCase()]);
-        return utils.createElement("div", data.value, className);
+        return utils.h("div", {class: [[], ["status-badge", data.value.toLowerCase()]]}, data.value);
     }
 
     /**
@@ -356,19 +516,32 @@ class Node {
             // context 생성
             const context = Object.freeze(this.getContext());
 
-            this.options.afterDraw(context);
+            callHook(this, "afterDraw", this.options.afterDraw, context);
         }
+
+        emitComponentEvent(this, "render", {viewData: this.viewData});
     }
 
     /**
      * DOM 및 이벤트 정리
+     *
+     * 루트 요소(this.el)는 남겨 두고 내부에 렌더링한 내용만 제거한다.
      */
     destroy() {
-               if (!this.el) {
+        if (!this.el) {
             return;
         }
 
+        emitComponentEvent(this, "destroy");
+        this.unbindComponentEvents?.();
+        this.unbindComponentEvents = null;
+
+        this.dataSource?.stop();
+        this.dataSource = null;
+        this.loading.clear();
+
         utils.unbindEvents(this.el);
+        utils.clear(this.el);
 
         this.el = null;
         this.bodyEl = null;
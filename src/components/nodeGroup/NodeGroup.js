@@ -1,5 +1,20 @@
 import * as utils from "../../utils/utils.js";
 import Node from "../node/Node.js";
+import {startComponentDataSource} from "../../core/dataSource.js";
+import {renderConnectionState} from "../../core/stream.js";
+import {emitComponentEvent} from "../../core/eventBus.js";
+import {t} from "../../core/i18n.js";
+import {patchChildren} from "../../core/patch.js";
+import {createComponentLoading, createSkeleton, renderLoadingBody, setComponentLoading} from "../../core/loading.js";
+import {renderErrorBody, setComponentError} from "../../core/errorState.js";
+import {callHook, renderCustomSafe, reportError} from "../../core/errorBoundary.js";
+
+/**
+ * 노드가 없을 때 표시할 skeleton 카드 수
+ *
+ * @private
+ */
+const SKELETON_NODE_COUNT = 2;
 
 /**
  * NodeGroup 클래스는 여러 Node 컴포넌트를 그룹화하여
@@ -8,51 +23,157 @@ import Node from "../node/Node.js";
  * @class NodeGroup
  */
 class NodeGroup {
+    /**
+     * UI wrapper에 추가로 노출할 메서드
+     */
+    static handleMethods = ["setConnectionState", "setLoading", "setError"];
+
+    /**
+     * 컴포넌트 CSS 경로 (Shadow DOM에서 adopt 할 때도 사용)
+     */
+    static cssUrl = new URL("NodeGroup.css", import.meta.url).href;
+
     /**
      * NodeGroup 생성자
      * @param {Object} [params={}]
      * @param {string} params.id - NodeGroup을 마운트할 root DOM element의 ID
+     * @param {HTMLElement} [params.el] - 렌더링 대상 요소 (지정하면 id로 찾지 않음)
      * @param {Object} [params.title={}] - NodeGroup header 제목 객체, {value: string} 형식
      * @param {Object} [params.options={}] - 사용자 옵션
+     * @param {string|Function} [params.options.key] - 하위 Node key (항목 field 이름 또는 `(item, index) => key`, 기본값 index)
+     * @param {Object.<string, string|Object|Function>} [params.options.format] - 하위 Node에 전달할 detail item key별 format spec
+     * @param {number} [params.options.loadingDelay=200] - setLoading(true) 후 skeleton을 표시하기까지 대기 시간(ms)
      * @param {Object} [params.custom={}] - 사용자 커스텀 렌더링 설정 (header, body)
      * @param {Object|null} [params.iconEngine=null] - 아이콘 엔진 객체, 후처리 가능
      */
-    constructor({id, title = {}, options: userOptions = {}, custom = {}, iconEngine = null} = {}) {
+    constructor({id, el = null, title = {}, options: userOptions = {}, custom = {}, iconEngine = null} = {}) {
         const defaultOption = {
-            emptyText: "데이터 없음",
             events: [],
         }
 
-        this.id = id;
+        this.id = id || el?.id;
         this.title = title;
         this.custom = custom;
         this.options = utils.deepMerge(defaultOption, userOptions);
         this.iconEngine = iconEngine;
 
-        this.el = null;
+        this.el = el;
         this.bodyEl = null;
-        this.nodes = [];
-
-        const base = new URL(".", import.meta.url).href;
-        utils.injectCss(base + "NodeGroup.css");
+        this.nodes = new Map(); // key → Node
+        this.isStatic = false; // renderStatic(서버 렌더링) 여부
+        this.dataSource = null;
+        this.connectionState = null;
+        this.error = null; // setError 상태 {error, retry}
+        this.loading = createComponentLoading(this);
+
+        utils.injectCss(NodeGroup.cssUrl);
+        // skeleton 등 하위 Node 생성 전에도 Node 스타일을 사용
+        utils.injectCss(Node.cssUrl);
     }
 
     /**
      * 초기화 및 첫 렌더링 수행
      * @param {Array<Object>} data 렌더링 데이터
+     * @param {Object} [options]
+     * @param {boolean} [options.hydrate=false] true면 기존(서버 렌더링) 레이아웃을 재사용한다. ({@link hydrate})
      */
-    init(data) {
-        this.el = document.getElementById(this.id);
+    init(data, {hydrate = false} = {}) {
+        this.el = this.el || document.getElementById(this.id);
         if (!this.el) {
             throw new Error(`No systemNode element with id ${this.id}`);
         }
 
-        this.renderLayout();
+        if (hydrate) {
+            this.adoptLayout();
+        } else {
+            this.renderLayout();
+        }
 
         this.data = data;
         this.setViewData();
 
         this.draw();
+        this.bindComponentEvents();
+        startComponentDataSource(this);
+    }
+
+    /**
+     * 스트림 연결 상태를 header에 표시한다.
+     *
+     * @param {import("../../core/stream.js").StreamState|null} state 연결 상태 (null이면 표시 제거)
+     */
+    setConnectionState(state) {
+        this.connectionState = state;
+        renderConnectionState(this.headerEl, state);
+    }
+
+    /**
+     * 로딩 상태를 설정한다.
+     *
+     * options.loadingDelay가 지나도 로딩 중이면 노드 카드 형태의 skeleton을 표시한다.
+     * 다음 setData 호출 시 자동으로 해제된다.
+     *
+     * @param {boolean} [loading=true]
+     */
+    setLoading(loading = true) {
+        setComponentLoading(this, loading);
+    }
+
+    /**
+     * 오류 상태를 설정하고 body에 오류 패널을 표시한다.
+     *
+     * - 문자열은 그대로 표시하고, Error 객체는 options.errorMsg(기본: locale 메시지 "error")로 표시한다.
+     * - retry를 생략하면 options.dataSource가 있을 때 데이터 소스를 다시 요청하는 버튼을 표시한다.
+     *   `retry: false`이면 버튼을 표시하지 않는다.
+     * - 다음 setData 호출 시 해제되며, `setError(null)`로 직접 해제할 수도 있다.
+     *
+     * @param {Error|string|null} error 오류 또는 표시할 문구
+     * @param {Object} [options]
+     * @param {Function|false} [options.retry] 다시 시도 버튼 클릭 시 실행할 함수 (Promise 반환 가능)
+     *
+     * @example
+     * fetchServers().then(data => ui.setData(data), error => ui.setError(error, {retry: load}));
+     */
+    setError(error, {retry} = {}) {
+        setComponentError(this, error, {retry});
+    }
+
+    /**
+     * semantic 이벤트용 내부 리스너를 등록한다.
+     *
+     * 하위 Node는 이벤트를 발생시키지 않으므로(embedded) NodeGroup이 대신 발생시킨다.
+     * - 노드 action 버튼 클릭 → `actionclick` (index: 버튼 순서, data: 버튼 데이터, node: 노드 데이터)
+     * - 그 외 노드 카드 클릭 → `itemclick` (index/data는 NodeGroup 기준, 몇 번째 노드인지)
+     *
+     * @private
+     */
+    bindComponentEvents() {
+        const nodeSelector = utils.makeSelectorClassName(["nodeGroup-node"]);
+        const buttonSelector = utils.makeSelectorClassName(["detail-button"]);
+
+        const offAction = utils.delegate(this.el, "click", buttonSelector, (e, target) => {
+            const {data: node} = utils.resolveItemData(target.closest(nodeSelector), this.viewData);
+            emitComponentEvent(this, "actionclick", {
+                index: target._uiIndex,
+                data: target._uiAction,
+                node,
+                target,
+                event: e
+            });
+        });
+
+        const offItem = utils.delegate(this.el, "click", nodeSelector, (e, target) => {
+            if (e.target.closest(buttonSelector)) {
+                return;
+            }
+            const {index, data} = utils.resolveItemData(target, this.viewData);
+            emitComponentEvent(this, "itemclick", {index, data, target, event: e});
+        });
+
+        this.unbindComponentEvents = () => {
+            offAction();
+            offItem();
+        };
     }
 
     /**
@@ -82,17 +203,60 @@ class NodeGroup {
         this.viewData = [];
     }
 
+    /**
+     * 서버에서 렌더링된 마크업(core/ssr.js의 renderToString)을 재사용하여 초기화한다.
+     *
+     * DOM을 다시 만들지 않고 patch renderer로 기존 마크업과 비교하므로,
+     * 내용이 같으면 DOM 변경 없이 이벤트, 아이콘 처리, `_ui*` 데이터만 연결된다.
+     *
+     * @param {*} data 서버 렌더링에 사용한 데이터
+     */
+    hydrate(data) {
+        this.init(data, {hydrate: true});
+    }
+
+    /**
+     * 이벤트, 아이콘 처리, 데이터 소스 없이 레이아웃과 내용만 렌더링한다.
+     *
+     * 서버 렌더링(core/ssr.js)에서 사용하며, this.el이 미리 지정되어 있어야 한다.
+     *
+     * @param {*} data 렌더링 데이터
+     */
+    renderStatic(data) {
+        this.isStatic = true;
+        this.renderLayout();
+
+        this.data = data;
+        this.setViewData();
+        this.render();
+    }
+
+    /**
+     * 서버에서 렌더링된 레이아웃 요소를 찾아 재사용한다.
+     *
+     * 하나라도 없으면 기존 내용을 비우고 레이아웃을 새로 만든다.
+     *
+     * @private
+     */
+    adoptLayout() {
+        const find = (name) => this.el.querySelector(`:scope > ${utils.makeSelectorClassName([name])}`);
+        this.headerEl = find("nodeGroup-header");
+        this.bodyEl = find("nodeGroup-body");
+
+        if (!this.headerEl || !this.bodyEl) {
+            utils.clear(this.el);
+            this.renderLayout();
+        }
+    }
+
     /**
      * 기본 레이아웃 DOM 구조 생성
      * root 내부에 body 영역을 구성한다.
      * @private
      */
     renderLayout() {
-        const headerClassName = utils.makeClassName(["nodeGroup-header", "header"]);
-        this.headerEl = utils.createElement("div", "", headerClassName);
-
-        const bodyClassName = utils.makeClassName(["nodeGroup-body", "body"]);
-        this.bodyEl = utils.createElement("div", "", bodyClassName);
+        this.headerEl = utils.h("div", {class: ["nodeGroup-header", "header"]});
+        this.bodyEl = utils.h("div", {class: ["nodeGroup-body", "body"]});
 
         this.el.append(
             this.headerEl,
@@ -101,34 +265,54 @@ class NodeGroup {
     }
 
     /**
-     * body 렌더링 및 이벤트 바인딩 수행
+     * 현재 viewData로 DOM만 렌더링한다.
+     *
+     * 이벤트 바인딩과 afterDraw(아이콘 처리, 콜백)는 수행하지 않는다.
+     *
+     * @private
      */
-    draw() {
+    render() {
         this.renderHeader();
+        renderConnectionState(this.headerEl, this.connectionState);
         this.renderBody();
+    }
 
-        utils.bindEvents(this.el, this.options.events, this.viewData);
+    /**
+     * body 렌더링 및 이벤트 바인딩 수행
+     */
+    draw() {
+        this.render();
+
+        this.bindEvents();
         this.afterDraw();
     }
 
+    /**
+     * options.events를 바인딩한다. 핸들러 오류는 UI.onError로 보고된다.
+     *
+     * @private
+     */
+    bindEvents() {
+        utils.bindEvents(this.el, this.options.events, this.viewData, (error) => reportError(this, "event", error));
+    }
+
     /**
      * 데이터를 설정하고 다시 렌더링
      * @param {Array<Object>} data
      */
     setData(data = []) {
-        this.clear();
+        this.loading.clear();
+        this.error = null;
         this.data = data;
         // 데이터 전처리
         this.setViewData();
 
-        if (this.bodyEl) {
-            utils.clear(this.bodyEl);
-        }
-
         this.renderBody();
 
-        uiUtils.bindEvents(this.el, this.options.events, this.viewData);
+        this.bindEvents();
         this.afterDraw();
+
+        emitComponentEvent(this, "datachange", {data: this.data, viewData: this.viewData});
     }
 
     setViewData() {
@@ -157,47 +341,116 @@ class NodeGroup {
      * NodeGroup header 렌더링
      */
     renderHeader() {
-        this.headerEl.textContent = "";
-
         if (this.custom.header) {
-            utils.renderCustom(this.headerEl, this.custom.header, this.getContext());
+            renderCustomSafe(this, "custom.header", this.headerEl, this.custom.header);
             return;
         }
 
+        const elements = [];
         if (this.title && Object.keys(this.title).length > 0) {
-            const title = utils.createElement("h3", this.title.value);
-            this.headerEl.appendChild(title);
+            elements.push(utils.h("h3", this.title.value));
         }
+        patchChildren(this.headerEl, elements);
     }
 
     /**
      * NodeGroup body 렌더링
+     *
+     * 하위 Node는 key로 재사용한다.
+     * - 같은 key의 Node는 setData로 갱신 (Node 내부도 patch renderer로 변경분만 반영)
+     * - 새 key는 Node를 생성하고, 사라진 key의 Node는 destroy 한다.
      */
     renderBody() {
+        if (renderLoadingBody(this) || renderErrorBody(this)) {
+            this.destroyNodes();
+            return;
+        }
+
         if (this.custom.body) {
-            utils.renderCustom(this.bodyEl, this.custom.body, this.getContext());
+            this.destroyNodes();
+            renderCustomSafe(this, "custom.body", this.bodyEl, this.custom.body);
             return;
         }
 
         const wrapper = this.createBodyWrapper();
-        this.bodyEl.appendChild(wrapper);
+        const items = [];
 
         if (this.viewData?.length) {
             this.viewData.forEach((d, index) => {
-                const nodeId = `${this.id}-node-${index}`;
-                const className = utils.makeClassName(["nodeGroup-node"],[utils.RULES.dataBindClass]);
-                const nodeEl = utils.createElement("div", undefined, className);
-
-                nodeEl.id = nodeId;
-                nodeEl.dataset.index = index;
-                nodeEl["_uiIndex"] = index;// 이벤트 성능 용
+                const key = this.getItemKey(d, index);
+                const nodeId = `${this.id}-node-${key}`;
+                const nodeEl = utils.h("div", {
+                    class: [["nodeGroup-node"], [utils.RULES.dataBindClass]],
+                    id: nodeId,
+                    dataset: {index, key},
+                    _uiIndex: index, // 이벤트 성능 용
+                    _uiSkipChildren: true, // 내용은 하위 Node가 렌더링
+                });
                 wrapper.appendChild(nodeEl);
 
-                const node = new Node({id: nodeId, options: {}, custom: {}, iconEngine: this.iconEngine});
-                node.init(d);
-                this.nodes.push(node);
+                items.push({key, nodeId, data: d});
             })
+        } else if (!this.loading.active) {
+            this.renderEmpty(wrapper);
+        }
+
+        // 사라진 key의 Node 정리
+        const keys = new Set(items.map(item => item.key));
+        this.nodes.forEach((node, key) => {
+            if (!keys.has(key)) {
+                node.destroy();
+                this.nodes.delete(key);
+            }
+        });
+
+        patchChildren(this.bodyEl, [wrapper]);
+
+        // patch 후 실제 DOM에 남아 있는 node 요소 (기존 요소가 재사용되었을 수 있음)
+        const nodeEls = new Map();
+        [...(this.bodyEl.firstChild?.childNodes || [])].forEach(el => {
+            nodeEls.set(el.getAttribute?.("data-key"), el);
+        });
+
+        items.forEach(({key, nodeId, data}) => {
+            const node = this.nodes.get(key);
+            if (node) {
+                node.setData(data);
+                return;
+            }
+
+            const el = nodeEls.get(key);
+            const created = new Node({id: nodeId, el, options: {format: this.options.format}, custom: {}, iconEngine: this.iconEngine, embedded: true});
+            if (this.isStatic) {
+                created.renderStatic(data);
+            } else if (el.hasChildNodes()) {
+                // 서버에서 렌더링된 node 마크업 재사용
+                created.hydrate(data);
+            } else {
+                created.init(data);
+            }
+            this.nodes.set(key, created);
+        });
+    }
+
+    /**
+     * patch renderer에서 하위 Node를 매칭할 key를 반환한다.
+     *
+     * options.key가 없거나 항목에 값이 없으면 index를 사용한다.
+     *
+     * @private
+     * @param {Array<Object>} item 하위 Node 데이터
+     * @param {number} index
+     * @returns {string}
+     */
+    getItemKey(item, index) {
+        const {key} = this.options;
+        if (typeof key === "function") {
+            return String(key(item, index));
+        }
+        if (key && item?.[key] != null) {
+            return String(item[key]);
         }
+        return String(index);
     }
 
     /**
@@ -205,8 +458,44 @@ class NodeGroup {
      * @returns {HTMLElement}
      */
     createBodyWrapper() {
-        const className = utils.makeClassName(["nodes-grid"]);
-        return utils.createElement("div", undefined, className);
+        return utils.h("div", {class: ["nodes-grid"]});
+    }
+
+    /**
+     * 로딩 중 표시할 노드 카드 skeleton 생성
+     *
+     * 표시 중인 노드 수만큼 만들고, 노드가 없으면 SKELETON_NODE_COUNT개를 만든다.
+     *
+     * @private
+     * @returns {HTMLElement}
+     */
+    renderSkeleton() {
+        const wrapper = this.createBodyWrapper();
+        wrapper.setAttribute("role", "status");
+        wrapper.setAttribute("aria-label", t("loading"));
+
+        const count = this.nodes.size || SKELETON_NODE_COUNT;
+        for (let index = 0; index < count; index++) {
+            wrapper.appendChild(utils.h("div", {class: ["nodeGroup-node"], dataset: {key: `skeleton-${index}`}},
+                utils.h("div", {class: ["node"]},
+                    utils.h("div", {class: ["node-row"]},
+                        createSkeleton("node-skeleton-tag"),
+                        utils.h("div", {class: ["node-details"]}, createSkeleton("skeleton-text"), createSkeleton("skeleton-text")),
+                        createSkeleton("node-skeleton-status")))
+            ));
+        }
+
+        return wrapper;
+    }
+
+    /**
+     * 생성된 하위 Node 인스턴스를 모두 정리한다.
+     *
+     * @private
+     */
+    destroyNodes() {
+        this.nodes.forEach(node => node.destroy());
+        this.nodes.clear();
     }
 
     /**
@@ -215,7 +504,7 @@ class NodeGroup {
      */
     renderEmpty(wrapper) {
         wrapper.classList.add("empty");
-        wrapper.textContent = this.options.emptyText;
+        wrapper.textContent = this.options.emptyText ?? t("empty");
     }
 
     /**
@@ -232,14 +521,30 @@ class NodeGroup {
             // context 생성
             const context = Object.freeze(this.getContext());
 
-            this.options.afterDraw(context);
+            callHook(this, "afterDraw", this.options.afterDraw, context);
         }
+
+        emitComponentEvent(this, "render", {viewData: this.viewData});
     }
 
     /**
      * DOM 및 이벤트 정리
+     *
+     * 하위 Node를 모두 destroy하고 루트 요소(this.el)의 내용만 비운다. (요소 자체는 유지)
      */
     destroy() {
+        if (this.el) {
+            emitComponentEvent(this, "destroy");
+        }
+        this.unbindComponentEvents?.();
+        this.unbindComponentEvents = null;
+
+        this.dataSource?.stop();
+        this.dataSource = null;
+        this.loading.clear();
+
+        this.destroyNodes();
+
         if (this.el) {
             utils.unbindEvents(this.el);
             utils.clear(this.el);
@@ -0,0 +1,159 @@
+import * as utils from "../utils/utils.js";
+
+/**
+ * row.layout 값과 uiCommon.css 레이아웃 클래스 매핑
+ *
+ * @private
+ */
+const ROW_LAYOUTS = {
+    grid: ["grid-row"],
+    stats: ["stats-row"],
+    uneven: ["grid-row", "row-uneven"],
+};
+
+/**
+ * 컴포넌트 타입별 기본 패널 클래스
+ *
+ * @private
+ */
+const PANEL_CLASSES = {
+    metriccard: "card",
+};
+
+/**
+ * @typedef {Object} DashboardColumn
+ * @property {string} type 등록된 컴포넌트 이름 (listView, metricCard, node, nodeGroup 등)
+ * @property {string} [key] 대시보드 내 고유 키 (생략 시 `r{행}-c{열}`)
+ * @property {number} [span] 차지할 grid 열 개수
+ * @property {number} [rowSpan] 차지할 grid 행 개수
+ * @property {string|string[]} [className] 패널 클래스 (생략 시 metricCard는 "card", 그 외 "panel")
+ * @property {Object} [params] 컴포넌트 init 파라미터 (id 제외)
+ */
+
+/**
+ * @typedef {Object} DashboardRow
+ * @property {"grid"|"stats"|"uneven"} [layout="grid"] 행 레이아웃
+ * @property {string|string[]} [className] 행에 추가할 클래스
+ * @property {Array<DashboardColumn>} columns 행에 배치할 컴포넌트 목록
+ */
+
+/**
+ * @typedef {Object} DashboardHandle
+ * @property {function(string): Object|null} get 키로 컴포넌트 wrapper 조회
+ * @property {function(string, *): void} update 키에 해당하는 컴포넌트의 데이터 갱신
+ * @property {function(): string[]} keys 대시보드에 포함된 키 목록
+ * @property {function(): void} destroy 모든 컴포넌트를 destroy하고 컨테이너를 비운다
+ */
+
+/**
+ * JSON 레이아웃 설정으로 대시보드를 구성하고 각 컴포넌트를 마운트한다.
+ *
+ * - 행(row)은 uiCommon.css의 `.grid-row` / `.stats-row` / `.row-uneven` 클래스로 배치된다.
+ * - 각 열(column)마다 패널 요소를 생성하고 `ui.init(type, params)`로 컴포넌트를 생성한다.
+ * - 패널 id는 `{컨테이너 id}-{key}` 형식으로 부여된다.
+ * - 마운트 도중 오류가 발생하면 이미 생성한 컴포넌트를 정리한 뒤 오류를 다시 던진다.
+ *
+ * @param {Object} ui init 함수를 제공하는 UI 객체
+ * @param {HTMLElement|string} container 대시보드를 렌더링할 요소 또는 요소 id
+ * @param {Object} config 대시보드 설정
+ * @param {Array<DashboardRow>} config.rows 행 목록
+ * @returns {DashboardHandle}
+ */
+export function renderDashboard(ui, container, config = {}) {
+    const containerEl = typeof container === "string" ? document.getElementById(container) : container;
+    if (!containerEl) {
+        throw new Error(`No dashboard container ${container}`);
+    }
+
+    const rows = config.rows || [];
+    const prefix = containerEl.id || "dashboard";
+    const components = new Map();
+
+    const destroy = () => {
+        components.forEach(handle => handle.destroy());
+        components.clear();
+        utils.clear(containerEl);
+    };
+
+    utils.clear(containerEl);
+
+    try {
+        rows.forEach((row, rowIndex) => {
+            const rowEl = createRow(row);
+            containerEl.appendChild(rowEl);
+
+            (row.columns || []).forEach((column, colIndex) => {
+                const key = column.key ?? `r${rowIndex}-c${colIndex}`;
+                if (components.has(key)) {
+                    throw new Error(`Duplicate dashboard key "${key}"`);
+                }
+
+                const panelEl = createPanel(column, `${prefix}-${key}`);
+                rowEl.appendChild(panelEl);
+
+                const handle = ui.init(column.type, {...column.params, id: panelEl.id});
+                components.set(key, handle);
+            });
+        });
+    } catch (e) {
+        destroy();
+        throw e;
+    }
+
+    return {
+        get: (key) => components.get(key) ?? null,
+        update: (key, data) => {
+            const handle = components.get(key);
+            if (!handle) {
+                throw new Error(`Unknown dashboard key "${key}"`);
+            }
+            handle.setData(data);
+        },
+        keys: () => [...components.keys()],
+        destroy,
+    };
+}
+
+/**
+ * 행 요소를 생성한다.
+ *
+ * @private
+ * @param {DashboardRow} row
+ * @returns {HTMLElement}
+ */
+function createRow(row) {
+    const layout = row.layout || "grid";
+    const layoutClasses = ROW_LAYOUTS[layout];
+    if (!layoutClasses) {
+        throw new TypeError(`Unknown dashboard row layout "${layout}"`);
+    }
+
+    const extra = Array.isArray(row.className) ? row.className : [row.className];
+    return utils.h("div", {class: [[], [...layoutClasses, ...extra]]});
+}
+
+/**
+ * 컴포넌트가 마운트될 패널 요소를 생성한다.
+ *
+ * @private
+ * @param {DashboardColumn} column
+ * @param {string} id 패널 id
+ * @returns {HTMLElement}
+ */
+function createPanel(column, id) {
+    const className = column.className
+        ?? PANEL_CLASSES[String(column.type).toLowerCase()]
+        ?? "panel";
+
+    const panelEl = utils.h("div", {class: [[], className], id});
+
+    if (column.span) {
+        panelEl.style.gridColumn = `span ${column.span}`;
+    }
+
+    if (column.rowSpan) {
+        panelEl.style.gridRow = `span ${column.rowSpan}`;
+    }
+
+    return panelEl;
+}
@@ -0,0 +1,235 @@
+import * as utils from "../utils/utils.js";
+
+/**
+ * 원격 데이터 소스 (fetch + polling)
+ *
+ * 컴포넌트의 `options.dataSource` 설정으로 생성되며,
+ * 응답을 받아 컴포넌트의 setData 경로로 전달한다.
+ *
+ * - `interval`이 있으면 주기적으로 다시 요청한다.
+ * - `document.hidden` 동안에는 polling을 멈추고, 다시 보이면 즉시 한 번 요청한다.
+ * - 실패하면 `interval * 2^실패횟수` (최대 `maxInterval`)로 간격을 늘린다.
+ *
+ * @typedef {Object} DataSourceOptions
+ * @property {string} url 요청 URL
+ * @property {string} [method="GET"] HTTP method
+ * @property {Object|Function} [params] 요청 파라미터 (GET은 query string, 그 외는 JSON body).
+ * 함수이면 요청 시점마다 호출하여 값을 얻는다.
+ * @property {Object} [headers] 추가 요청 헤더
+ * @property {number} [interval=0] polling 간격(ms), 0이면 한 번만 요청
+ * @property {number} [maxInterval=60000] 실패 시 backoff 최대 간격(ms)
+ * @property {Function} [transform] 응답 JSON을 컴포넌트 데이터로 변환하는 함수
+ */
+
+/**
+ * 데이터 소스를 생성한다.
+ *
+ * @param {DataSourceOptions & {onData: Function, onError: Function}} options
+ * @returns {{start: Function, stop: Function, reload: Function}}
+ *
+ * @example
+ * const source = createDataSource({
+ *   url: "/api/servers",
+ *   interval: 5000,
+ *   transform: res => res.list,
+ *   onData: data => listView.setData(data),
+ *   onError: error => console.error(error)
+ * });
+ * source.start();
+ */
+export function createDataSource({
+                                     url,
+                                     method = "GET",
+                                     params,
+                                     headers = {},
+                                     interval = 0,
+                                     maxInterval = 60000,
+                                     transform,
+                                     onData,
+                                     onError,
+                                 } = {}) {
+    if (!url) {
+        throw new TypeError("dataSource.url is required.");
+    }
+
+    let active = false;
+    let timer = null;
+    let failures = 0;
+    let controller = null;
+    let pending = false; // hidden 상태에서 건너뛴 요청이 있는지
+
+    /**
+     * 요청 URL과 fetch 옵션을 생성한다.
+     */
+    function buildRequest() {
+        const resolved = typeof params === "function" ? params() : params;
+        const upper = method.toUpperCase();
+        const requestUrl = new URL(url, document.baseURI);
+        const init = {method: upper, headers: {Accept: "application/json", ...headers}};
+
+        if (resolved && (upper === "GET" || upper === "HEAD")) {
+            Object.entries(resolved).forEach(([key, value]) => {
+                if (value != null) {
+                    requestUrl.searchParams.set(key, value);
+                }
+            });
+        } else if (resolved) {
+            init.headers["Content-Type"] = "application/json";
+            init.body = JSON.stringify(resolved);
+        }
+
+        return {requestUrl, init};
+    }
+
+    /**
+     * 다음 요청을 예약한다.
+     * 실패가 누적되면 간격을 지수적으로 늘린다.
+     */
+    function schedule() {
+        clearTimeout(timer);
+        timer = null;
+
+        if (!active || !interval) {
+            return;
+        }
+
+        const delay = failures > 0
+            ? Math.min(interval * 2 ** failures, maxInterval)
+            : interval;
+
+        timer = setTimeout(load, delay);
+    }
+
+    /**
+     * 데이터를 요청하고 결과를 onData / onError로 전달한다.
+     */
+    async function load() {
+        if (!active) {
+            return;
+        }
+
+        // 화면이 보이지 않는 동안에는 요청하지 않고 visible 전환 시 재개
+        if (document.hidden) {
+            pending = true;
+            return;
+        }
+
+        pending = false;
+        controller?.abort();
+        const current = new AbortController();
+        controller = current;
+
+        try {
+            const {requestUrl, init} = buildRequest();
+            const res = await fetch(requestUrl, {...init, signal: current.signal});
+            if (!res.ok) {
+                throw new Error(`HTTP ${res.status} ${res.statusText}`);
+            }
+
+            const json = await res.json();
+            const data = typeof transform === "function" ? transform(json) : json;
+
+            failures = 0;
+            if (active) {
+                onData?.(data);
+            }
+        } catch (e) {
+            // stop() 또는 reload()에 의한 취소는 오류로 보지 않는다.
+            if (current.signal.aborted) {
+                return;
+            }
+            failures++;
+            if (active) {
+                onError?.(e);
+            }
+        } finally {
+            if (controller === current) {
+                controller = null;
+                schedule();
+            }
+        }
+    }
+
+    function onVisibilityChange() {
+        if (!active) {
+            return;
+        }
+
+        if (document.hidden) {
+            clearTimeout(timer);
+            timer = null;
+            pending = true;
+        } else if (pending) {
+            load();
+        }
+    }
+
+    return {
+        /**
+         * 첫 요청을 보내고 polling을 시작한다.
+         */
+        start() {
+            if (active) {
+                return;
+            }
+            active = true;
+            document.addEventListener("visibilitychange", onVisibilityChange);
+            load();
+        },
+
+        /**
+         * polling을 중지하고 진행 중인 요청을 취소한다.
+         */
+        stop() {
+            active = false;
+            clearTimeout(timer);
+            timer = null;
+            controller?.abort();
+            controller = null;
+            document.removeEventListener("visibilitychange", onVisibilityChange);
+        },
+
+        /**
+         * 예약된 요청을 기다리지 않고 즉시 다시 요청한다.
+         *
+         * @returns {Promise<void>}
+         */
+        reload() {
+            clearTimeout(timer);
+            timer = null;
+            return load();
+        },
+    };
+}
+
+/**
+ * 컴포넌트의 options.dataSource로 데이터 소스를 생성하여 component.dataSource에 설정하고 시작한다.
+ *
+ * - 응답은 component.setData 경로(schema 매핑 포함)로 전달된다.
+ * - 실패 시 component.setError로 오류 패널(다시 시도 버튼 포함)을 표시한다.
+ * - 초기 데이터 없이 시작하면 첫 응답까지 로딩 상태로 표시한다.
+ *
+ * @param {Object} component options, data, setData, setError, setLoading을 가진 컴포넌트
+ *
+ * @example
+ * init() {
+ *     // ...
+ *     startComponentDataSource(this);
+ * }
+ */
+export function startComponentDataSource(component) {
+    if (!component.options.dataSource) {
+        return;
+    }
+
+    if (utils.isEmpty(component.data)) {
+        component.setLoading(true);
+    }
+
+    component.dataSource = createDataSource({
+        ...component.options.dataSource,
+        onData: (data) => component.setData(data),
+        onError: (error) => component.setError(error),
+    });
+    component.dataSource.start();
+}
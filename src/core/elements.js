@@ -0,0 +1,370 @@
+import * as utils from "../utils/utils.js";
+import ListView from "../components/list/ListView.js";
+import MetricCard from "../components/card/MetricCard/MetricCard.js";
+import Node from "../components/node/Node.js";
+import NodeGroup from "../components/nodeGroup/NodeGroup.js";
+
+/**
+ * 컴포넌트 custom element (Web Components)
+ *
+ * `<dh-list-view>`, `<dh-metric-card>`, `<dh-node>`, `<dh-node-group>` 요소로
+ * 미리 id를 가진 요소를 만들지 않고도 컴포넌트를 배치할 수 있다.
+ *
+ * - title, footer, data, schema, options는 attribute(JSON) 또는 property로 전달한다.
+ *   schema mapper, events 등 함수가 필요한 값과 custom 렌더러는 property로만 전달할 수 있다.
+ * - title/footer attribute가 JSON 객체가 아니면 `{value: 문자열}`로 사용한다.
+ * - connectedCallback에서 `ui.init`으로 컴포넌트를 생성하고, disconnectedCallback에서 destroy 한다.
+ *   (같은 tick 안에 다시 연결되는 DOM 이동은 destroy 하지 않는다)
+ * - 마운트 후 data가 바뀌면 setData, 그 외 설정이 바뀌면 다시 init 한다.
+ * - `shadow` attribute가 있으면 Shadow DOM 안에 렌더링하고 공통 CSS와 컴포넌트 CSS를 adopt 한다.
+ * - id가 없으면 `{tag}-N` 형식의 id가 부여되며, `UI.get(id)` 또는 `el.handle`로 wrapper를 사용할 수 있다.
+ * - 컴포넌트 이벤트(`dh:itemclick` 등)는 composed 이벤트이므로 Shadow DOM 밖에서도 수신할 수 있다.
+ *
+ * @example
+ * <dh-list-view id="servers" class="panel" title="서버 상태" options='{"size": 10}' shadow></dh-list-view>
+ * <script type="module">
+ *     const list = document.getElementById("servers");
+ *     list.schema = {title: d => d.name, subText: d => d.ip};
+ *     list.data = await fetch("/api/servers").then(res => res.json());
+ *     list.addEventListener("dh:itemclick", e => console.log(e.detail.data));
+ * </script>
+ */
+
+/**
+ * property로 전달할 수 있는 init 파라미터
+ *
+ * @private
+ */
+const PROPS = ["title", "footer", "data", "schema", "options", "custom"];
+
+/**
+ * attribute로 전달할 수 있는 init 파라미터
+ *
+ * @private
+ */
+const ATTRIBUTES = ["title", "footer", "data", "schema", "options"];
+
+/**
+ * 문자열을 `{value}`로 감싸는 파라미터
+ *
+ * @private
+ */
+const TEXT_PROPS = ["title", "footer"];
+
+/**
+ * 공통 CSS 경로
+ *
+ * @private
+ */
+const COMMON_CSS_URL = new URL("../styles/uiCommon.css", import.meta.url).href;
+
+/**
+ * 내장 컴포넌트 element 정의 (컴포넌트 이름, adopt 할 CSS)
+ *
+ * @private
+ */
+const BUILT_IN_ELEMENTS = [
+    ["listView", [ListView.cssUrl]],
+    ["metricCard", [MetricCard.cssUrl]],
+    ["node", [Node.cssUrl]],
+    ["nodeGroup", [NodeGroup.cssUrl, Node.cssUrl]],
+];
+
+/**
+ * url별 CSSStyleSheet 로드 Promise
+ *
+ * @private
+ * @type {Map<string, Promise<CSSStyleSheet>>}
+ */
+const SHEETS = new Map();
+
+/**
+ * 자동 생성 id 일련번호
+ *
+ * @private
+ */
+let autoIdSeq = 0;
+
+/**
+ * 컴포넌트 이름으로 tag 이름을 만든다.
+ *
+ * @private
+ * @example
+ * toTagName("nodeGroup") → "dh-node-group"
+ */
+function toTagName(name) {
+    return `${utils.RULES.classPrefix}-${name.replace(/[A-Z]/g, c => "-" + c.toLowerCase())}`;
+}
+
+/**
+ * attribute 값을 init 파라미터 값으로 변환한다.
+ *
+ * @private
+ * @param {string} name attribute 이름
+ * @param {string|null} value attribute 값
+ * @returns {*}
+ */
+function parseAttribute(name, value) {
+    if (value === null) {
+        return undefined;
+    }
+
+    if (TEXT_PROPS.includes(name) && !value.trim().startsWith("{")) {
+        return {value};
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        throw new Error(`Invalid JSON in ${name} attribute: ${e.message}`);
+    }
+}
+
+/**
+ * CSS 파일을 constructable stylesheet로 로드한다.
+ *
+ * @private
+ * @param {string} url
+ * @returns {Promise<CSSStyleSheet>}
+ */
+function loadSheet(url) {
+    if (!SHEETS.has(url)) {
+        const promise = fetch(url)
+            .then(res => {
+                if (!res.ok) {
+                    throw new Error(`Failed to load ${url} (${res.status})`);
+                }
+                return res.text();
+            })
+            .then(text => {
+                const sheet = new CSSStyleSheet();
+                sheet.replaceSync(text);
+                return sheet;
+            });
+        // 실패한 로드는 다음 요소에서 다시 시도할 수 있도록 cache에서 제거
+        promise.catch(() => SHEETS.delete(url));
+        SHEETS.set(url, promise);
+    }
+    return SHEETS.get(url);
+}
+
+/**
+ * shadow root에 CSS를 적용한다.
+ *
+ * adoptedStyleSheets를 지원하지 않는 환경에서는 `<link>`로 대체한다.
+ *
+ * @private
+ * @param {ShadowRoot} root
+ * @param {string[]} urls
+ */
+function adoptStyles(root, urls) {
+    if ("adoptedStyleSheets" in root && typeof CSSStyleSheet === "function") {
+        Promise.all(urls.map(loadSheet))
+            .then(sheets => {
+                root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...sheets];
+            })
+            .catch(e => console.error(`[UI] failed to adopt styles`, e));
+        return;
+    }
+
+    const links = urls.map(url => {
+        const link = document.createElement("link");
+        link.rel = "stylesheet";
+        link.href = url;
+        return link;
+    });
+    root.prepend(...links);
+}
+
+/**
+ * 컴포넌트를 감싸는 custom element 클래스를 생성한다.
+ *
+ * @private
+ * @param {Object} ui init 함수를 제공하는 UI 객체
+ * @param {string} tagName
+ * @param {string} componentName 등록된 컴포넌트 이름
+ * @param {string[]} styles Shadow DOM에 adopt 할 CSS 경로
+ * @returns {CustomElementConstructor}
+ */
+function createElementClass(ui, tagName, componentName, styles) {
+    class ComponentElement extends HTMLElement {
+        static observedAttributes = ATTRIBUTES;
+
+        #props = {};
+        #handle = null;
+        #container = null;
+        #remountQueued = false;
+
+        static {
+            // title, data 등 init 파라미터 property (HTMLElement.title을 대체)
+            PROPS.forEach(prop => {
+                Object.defineProperty(this.prototype, prop, {
+                    configurable: true,
+                    get() {
+                        return prop === "data" && this.#handle ? this.#handle.getData() : this.#props[prop];
+                    },
+                    set(value) {
+                        this.#setProp(prop, value);
+                    },
+                });
+            });
+        }
+
+        /**
+         * 마운트된 컴포넌트 wrapper (마운트 전이면 null)
+         *
+         * @returns {UIComponentHandle|null}
+         */
+        get handle() {
+            return this.#handle;
+        }
+
+        connectedCallback() {
+            // 정의(upgrade) 전에 설정된 property를 accessor로 다시 전달
+            PROPS.forEach(prop => {
+                if (Object.prototype.hasOwnProperty.call(this, prop)) {
+                    const value = this[prop];
+                    delete this[prop];
+                    this[prop] = value;
+                }
+            });
+
+            if (!this.#handle) {
+                this.#mount();
+            }
+        }
+
+        disconnectedCallback() {
+            queueMicrotask(() => {
+                if (!this.isConnected) {
+                    this.#unmount();
+                }
+            });
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue) {
+                return;
+            }
+
+            try {
+                this.#setProp(name, parseAttribute(name, newValue));
+            } catch (e) {
+                console.error(`[UI] invalid attribute for`, this, e);
+            }
+        }
+
+        /**
+         * 값을 저장하고 마운트된 컴포넌트에 반영한다.
+         *
+         * @param {string} prop
+         * @param {*} value
+         */
+        #setProp(prop, value) {
+            this.#props[prop] = TEXT_PROPS.includes(prop) && typeof value === "string" ? {value} : value;
+
+            if (!this.#handle) {
+                return;
+            }
+
+            if (prop === "data") {
+                // 재마운트가 예약되어 있으면 최신 data로 다시 init 된다.
+                if (!this.#remountQueued) {
+                    this.#handle.setData(value);
+                }
+                return;
+            }
+
+            // 여러 설정을 연속으로 바꿔도 한 번만 다시 init 한다.
+            if (!this.#remountQueued) {
+                this.#remountQueued = true;
+                queueMicrotask(() => {
+                    this.#remountQueued = false;
+                    if (this.#handle) {
+                        this.#mount();
+                    }
+                });
+            }
+        }
+
+        /**
+         * 렌더링 대상 요소를 반환한다. (`shadow` attribute가 있으면 shadow root 내부 컨테이너)
+         *
+         * @returns {HTMLElement}
+         */
+        #getContainer() {
+            if (!this.hasAttribute("shadow")) {
+                return this;
+            }
+
+            if (!this.#container) {
+                const root = this.shadowRoot || this.attachShadow({mode: "open"});
+                adoptStyles(root, [COMMON_CSS_URL, ...styles]);
+
+                this.#container = document.createElement("div");
+                this.#container.setAttribute("part", "container");
+                root.appendChild(this.#container);
+            }
+            return this.#container;
+        }
+
+        #mount() {
+            this.#unmount();
+
+            if (!this.id) {
+                this.id = `${tagName}-${++autoIdSeq}`;
+            }
+
+            try {
+                this.#handle = ui.init(componentName, {...this.#props, id: this.id, el: this.#getContainer()});
+            } catch (e) {
+                // 하나의 패널 오류가 페이지의 나머지 요소를 막지 않도록 로그만 남긴다.
+                console.error(`[UI] mount failed for`, this, e);
+            }
+        }
+
+        #unmount() {
+            const handle = this.#handle;
+            this.#handle = null;
+            handle?.destroy();
+        }
+    }
+
+    return ComponentElement;
+}
+
+/**
+ * 등록된 컴포넌트를 custom element로 정의한다.
+ *
+ * customElements를 지원하지 않는 환경(서버 렌더링 등)이거나 이미 정의된 tag면 아무것도 하지 않는다.
+ *
+ * @param {Object} ui init 함수를 제공하는 UI 객체
+ * @param {string} tagName custom element 이름 (`-` 포함)
+ * @param {string} componentName 등록된 컴포넌트 이름
+ * @param {Object} [options]
+ * @param {string[]} [options.styles=[]] Shadow DOM에 adopt 할 컴포넌트 CSS 경로 (공통 CSS는 항상 포함)
+ * @returns {CustomElementConstructor|null} 정의된 element 클래스
+ */
+export function defineElement(ui, tagName, componentName, {styles = []} = {}) {
+    if (typeof customElements === "undefined") {
+        return null;
+    }
+
+    const defined = customElements.get(tagName);
+    if (defined) {
+        return defined;
+    }
+
+    const ElementClass = createElementClass(ui, tagName, componentName, styles);
+    customElements.define(tagName, ElementClass);
+    return ElementClass;
+}
+
+/**
+ * 내장 컴포넌트를 `<dh-list-view>`, `<dh-metric-card>`, `<dh-node>`, `<dh-node-group>`으로 정의한다.
+ *
+ * @param {Object} ui init 함수를 제공하는 UI 객체
+ */
+export function defineElements(ui) {
+    BUILT_IN_ELEMENTS.forEach(([name, styles]) => defineElement(ui, toTagName(name), name, {styles}));
+}
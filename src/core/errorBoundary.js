@@ -0,0 +1,153 @@
+import * as utils from "../utils/utils.js";
+import {renderErrorPanel} from "./errorState.js";
+
+/**
+ * 사용자 hook 오류 경계 (error boundary)
+ *
+ * custom 렌더러, options.afterDraw, options.events 핸들러, Node 버튼 onClick 등
+ * 사용자 코드에서 발생한 예외가 draw를 중단시키거나 unhandled rejection으로 사라지지 않도록 한다.
+ * UI.on 핸들러, store 구독, 스트림 메시지 처리 오류도 같은 경로(id 없이)로 보고된다.
+ *
+ * - custom 렌더러가 예외를 던지거나 잘못된 값을 반환하면 해당 영역(header/body/footer)에 오류 패널을 표시하고
+ *   나머지 영역은 그대로 렌더링한다. (다음 렌더링 시 다시 실행된다)
+ * - 콜백/이벤트 핸들러 오류는 화면을 바꾸지 않고 보고만 한다. (Promise를 반환하면 rejection도 보고한다)
+ * - 모든 오류는 `{id, phase, error}` 형태로 {@link onError} 핸들러(`UI.onError`)에 전달된다.
+ *   등록된 핸들러가 없으면 console.error로 남긴다.
+ *
+ * | phase           | 발생 위치                     |
+ * |-----------------|-------------------------------|
+ * | `custom.header` | custom.header 렌더러          |
+ * | `custom.body`   | custom.body 렌더러            |
+ * | `custom.footer` | custom.footer 렌더러          |
+ * | `afterDraw`     | options.afterDraw 콜백        |
+ * | `event`         | options.events 핸들러         |
+ * | `action`        | Node 버튼 onClick             |
+ * | `pageChange`    | ListView pagination.onPageChange |
+ * | `loadMore`      | ListView infinite.onLoadMore  |
+ * | `event:{type}`  | UI.on 핸들러 (id 없음)        |
+ * | `store:{key}`   | store selector/listener (id 없음) |
+ * | `stream`        | 스트림 메시지 처리 (id 없음)  |
+ */
+
+/**
+ * 오류 핸들러 목록
+ *
+ * @private
+ * @type {Set<Function>}
+ */
+const HANDLERS = new Set();
+
+/**
+ * @typedef {Object} UIErrorInfo
+ * @property {string|null} id 컴포넌트 id (컴포넌트 밖에서 발생한 오류는 null)
+ * @property {string} phase 오류가 발생한 hook (`custom.body`, `afterDraw`, `event` 등)
+ * @property {*} error 원본 오류
+ */
+
+/**
+ * 오류 핸들러를 등록한다.
+ *
+ * @param {function(UIErrorInfo): void} handler
+ * @returns {function(): void} 등록 해제 함수
+ */
+export function onError(handler) {
+    if (typeof handler !== "function") {
+        throw new TypeError("Error handler must be a function.");
+    }
+
+    HANDLERS.add(handler);
+    return () => HANDLERS.delete(handler);
+}
+
+/**
+ * 컴포넌트 hook 오류를 보고한다.
+ *
+ * 핸들러에서 발생한 예외는 다른 핸들러 실행을 막지 않도록 로그로만 남긴다.
+ *
+ * @param {Object|null} component 오류가 발생한 컴포넌트 인스턴스 (이벤트 버스, store 등 컴포넌트 밖이면 null)
+ * @param {string} phase 오류가 발생한 hook
+ * @param {*} error 원본 오류
+ */
+export function reportError(component, phase, error) {
+    const id = component?.id ?? null;
+
+    if (HANDLERS.size === 0) {
+        console.error(id == null ? `[UI] ${phase} failed` : `[UI] ${phase} failed in "${id}"`, error);
+        return;
+    }
+
+    const info = {id, phase, error};
+    [...HANDLERS].forEach(handler => {
+        try {
+            handler(info);
+        } catch (e) {
+            console.error(`[UI] error handler failed`, e);
+        }
+    });
+}
+
+/**
+ * 사용자 함수를 실행하고 오류(동기 예외, Promise rejection)를 보고한다.
+ *
+ * @param {Object} component 컴포넌트 인스턴스
+ * @param {string} phase hook 이름
+ * @param {Function} fn 사용자 함수
+ * @param {...*} args fn에 전달할 인자
+ * @returns {*} fn의 반환값 (예외 발생 시 undefined)
+ *
+ * @example
+ * callHook(this, "afterDraw", this.options.afterDraw, context);
+ */
+export function callHook(component, phase, fn, ...args) {
+    try {
+        const result = fn(...args);
+        if (typeof result?.then === "function") {
+            result.then(undefined, (error) => reportError(component, phase, error));
+        }
+        return result;
+    } catch (error) {
+        reportError(component, phase, error);
+        return undefined;
+    }
+}
+
+/**
+ * 오류 패널로 영역을 교체한다.
+ *
+ * @private
+ */
+function renderBoundaryError(component, targetEl, error) {
+    targetEl.textContent = "";
+    // throw 된 문자열도 사용자 코드의 오류이므로 화면에는 options.errorMsg를 표시한다.
+    const panelError = typeof error === "string" ? new Error(error) : error;
+    targetEl.appendChild(renderErrorPanel({error: panelError, retry: null}, {errorMsg: component.options.errorMsg}));
+}
+
+/**
+ * custom 렌더러로 영역을 다시 그린다.
+ *
+ * 렌더러가 예외를 던지거나 지원하지 않는 값을 반환하면(Promise의 reject 포함)
+ * 영역에 오류 패널을 표시하고 오류를 보고한다.
+ *
+ * @param {Object} component 컴포넌트 인스턴스 (getContext, options.errorMsg 사용)
+ * @param {string} phase hook 이름 (`custom.header` 등)
+ * @param {HTMLElement} targetEl 렌더링 영역
+ * @param {Function} renderer custom 렌더러
+ * @returns {boolean} 렌더링 성공 여부 (Promise를 반환한 경우 true)
+ */
+export function renderCustomSafe(component, phase, targetEl, renderer) {
+    targetEl.textContent = "";
+
+    try {
+        const pending = utils.renderCustom(targetEl, renderer, component.getContext());
+        pending?.catch(error => {
+            reportError(component, phase, error);
+            renderBoundaryError(component, targetEl, error);
+        });
+        return true;
+    } catch (error) {
+        reportError(component, phase, error);
+        renderBoundaryError(component, targetEl, error);
+        return false;
+    }
+}
@@ -0,0 +1,121 @@
+import * as utils from "../utils/utils.js";
+import {t} from "./i18n.js";
+import {patchChildren} from "./patch.js";
+
+/**
+ * 컴포넌트 공통 오류 상태
+ *
+ * 모든 컴포넌트는 `setError(errorOrMessage, {retry})`로 body 영역에 같은 형태의 오류 패널을 표시한다.
+ *
+ * - 문자열은 그대로 표시하고, Error 객체는 options.errorMsg(기본: locale 메시지 "error")로 표시한다.
+ *   (서버 응답 등 내부 오류 메시지가 화면에 그대로 노출되지 않도록)
+ * - retry 함수가 있으면 "다시 시도" 버튼을 표시한다.
+ * - 다음 setData 호출 시 해제된다.
+ */
+
+/**
+ * @typedef {Object} ErrorState
+ * @property {Error|string} error 원본 오류 또는 표시할 문구
+ * @property {Function|null} retry 다시 시도 함수 (없으면 버튼을 표시하지 않음)
+ */
+
+/**
+ * 오류 패널에 표시할 문구를 반환한다.
+ *
+ * @param {Error|string} error
+ * @param {string} [errorMsg] 컴포넌트 options.errorMsg
+ * @returns {string}
+ */
+export function getErrorMessage(error, errorMsg) {
+    return typeof error === "string" ? error : errorMsg ?? t("error");
+}
+
+/**
+ * 오류 패널 요소를 생성한다.
+ *
+ * @param {ErrorState} state 오류 상태
+ * @param {Object} [options]
+ * @param {string} [options.errorMsg] Error 객체일 때 표시할 문구
+ * @param {function(): void} [options.onRetry] 다시 시도 버튼 클릭 시 호출 (state.retry가 있을 때만 버튼 표시)
+ * @returns {HTMLElement}
+ */
+export function renderErrorPanel({error, retry}, {errorMsg, onRetry} = {}) {
+    return utils.h("div", {class: ["error-panel", "error"], role: "alert"},
+        utils.h("span", {class: ["error-message"]}, getErrorMessage(error, errorMsg)),
+        retry && onRetry ? utils.h("button", {class: ["error-retry"], type: "button", onClick: onRetry}, t("retry")) : null
+    );
+}
+
+/**
+ * 컴포넌트의 오류 상태를 설정하고 body에 오류 패널을 표시한다. (컴포넌트 setError 구현)
+ *
+ * - retry를 생략하면 component.dataSource가 있을 때 데이터 소스를 다시 요청하는 버튼을 표시한다.
+ *   `retry: false`이면 버튼을 표시하지 않는다.
+ * - error가 null이면 오류 상태를 해제한다.
+ *
+ * @param {Object} component error, loading, dataSource, renderBody를 가진 컴포넌트
+ * @param {Error|string|null} error 오류 또는 표시할 문구
+ * @param {Object} [options]
+ * @param {Function|false} [options.retry] 다시 시도 버튼 클릭 시 실행할 함수 (Promise 반환 가능)
+ */
+export function setComponentError(component, error, {retry} = {}) {
+    component.loading.clear();
+
+    if (error == null) {
+        component.error = null;
+    } else {
+        const defaultRetry = component.dataSource ? () => component.dataSource.reload() : null;
+        component.error = {error, retry: retry === undefined ? defaultRetry : retry || null};
+    }
+
+    if (component.el) {
+        component.renderBody();
+    }
+}
+
+/**
+ * 오류 패널의 다시 시도 버튼 처리
+ *
+ * 로딩 상태로 전환한 뒤 retry를 실행하고, 실패하면 같은 retry로 다시 오류 상태를 표시한다.
+ *
+ * @private
+ * @param {Object} component
+ */
+function retryComponentLoad(component) {
+    const retry = component.error?.retry;
+    if (!retry) {
+        return;
+    }
+
+    component.setLoading(true);
+    Promise.resolve()
+        .then(retry)
+        .then(() => component.setLoading(false), (error) => component.setError(error, {retry}));
+}
+
+/**
+ * 오류 상태이면 컴포넌트 body를 오류 패널로 교체한다. (renderBody 앞부분)
+ *
+ * @param {Object} component bodyEl, error, options.errorMsg를 가진 컴포넌트
+ * @returns {boolean} 오류 패널을 렌더링했으면 true (나머지 body 렌더링은 생략한다)
+ *
+ * @example
+ * renderBody() {
+ *     if (renderLoadingBody(this) || renderErrorBody(this)) {
+ *         return;
+ *     }
+ *     // ...
+ * }
+ */
+export function renderErrorBody(component) {
+    if (!component.error) {
+        return false;
+    }
+
+    const panel = renderErrorPanel(component.error, {
+        errorMsg: component.options.errorMsg,
+        onRetry: () => retryComponentLoad(component),
+    });
+    patchChildren(component.bodyEl, [panel]);
+    return true;
+}
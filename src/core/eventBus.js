@@ -0,0 +1,124 @@
+import * as utils from "../utils/utils.js";
+import {reportError} from "./errorBoundary.js";
+
+/**
+ * 컴포넌트 간 통신을 위한 전역 이벤트 버스
+ *
+ * 컴포넌트는 아래 semantic 이벤트를 발생시킨다.
+ *
+ * | 이벤트        | 발생 시점                              | payload 추가 필드                    |
+ * |---------------|----------------------------------------|--------------------------------------|
+ * | `itemclick`   | 데이터 바인딩 항목 클릭                | index, data, target, event           |
+ * | `actionclick` | Node action 버튼 클릭                  | index, data(버튼), node, target, event |
+ * | `datachange`  | setData로 데이터 변경                  | data, viewData                       |
+ * | `render`      | draw/setData 렌더링 완료 (afterDraw 후) | viewData                             |
+ * | `pagechange`  | ListView 페이지 이동                   | page, size                           |
+ * | `sortchange`  | ListView 정렬 변경                     | sort                                 |
+ * | `filterchange`| ListView 검색 조건 변경                | query, count, total                  |
+ * | `destroy`     | destroy 직전                           | -                                    |
+ *
+ * 모든 payload에는 `type`, `id`(컴포넌트 id), `el`(루트 요소)이 포함되며,
+ * itemclick의 `index`/`data`는 {@link utils.resolveItemData}로 계산된다.
+ *
+ * 같은 이벤트가 루트 요소에 `dh:{type}` 이름의 DOM CustomEvent(bubbles)로도 dispatch 된다.
+ * (prefix는 RULES.classPrefix를 따른다. Shadow DOM 밖으로도 전달되도록 composed 이벤트로 발생한다)
+ *
+ * 다른 컴포넌트가 소유한 하위 컴포넌트(`embedded`, 예: NodeGroup 내부 Node)는 이벤트를 발생시키지 않으며,
+ * 소유 컴포넌트가 자신의 id로 발생시킨다.
+ */
+
+/**
+ * 이벤트 타입별 핸들러 목록
+ *
+ * @private
+ * @type {Map<string, Set<Function>>}
+ */
+const HANDLERS = new Map();
+
+/**
+ * 이벤트 핸들러를 등록한다.
+ *
+ * @param {string} type 이벤트 타입
+ * @param {function(Object): void} handler payload를 인자로 받는 핸들러
+ * @returns {function(): void} 등록 해제 함수
+ */
+export function on(type, handler) {
+    if (typeof handler !== "function") {
+        throw new TypeError("Event handler must be a function.");
+    }
+
+    if (!HANDLERS.has(type)) {
+        HANDLERS.set(type, new Set());
+    }
+    HANDLERS.get(type).add(handler);
+
+    return () => off(type, handler);
+}
+
+/**
+ * 이벤트 핸들러를 해제한다.
+ *
+ * handler를 생략하면 해당 타입의 모든 핸들러를 해제한다.
+ *
+ * @param {string} type 이벤트 타입
+ * @param {Function} [handler] 해제할 핸들러
+ */
+export function off(type, handler) {
+    if (!handler) {
+        HANDLERS.delete(type);
+        return;
+    }
+    HANDLERS.get(type)?.delete(handler);
+}
+
+/**
+ * 이벤트를 발생시킨다.
+ *
+ * 핸들러에서 발생한 예외는 다른 핸들러 실행을 막지 않도록 `event:{type}` phase로 reportError(UI.onError)에 보고한다.
+ *
+ * @param {string} type 이벤트 타입
+ * @param {Object} [payload={}] 핸들러에 전달할 값
+ */
+export function emit(type, payload = {}) {
+    const handlers = HANDLERS.get(type);
+    if (!handlers) {
+        return;
+    }
+
+    [...handlers].forEach(handler => {
+        try {
+            handler(payload);
+        } catch (e) {
+            reportError(null, `event:${type}`, e);
+        }
+    });
+}
+
+/**
+ * 컴포넌트의 semantic 이벤트를 발생시킨다.
+ *
+ * - 루트 요소에 `dh:{type}` DOM CustomEvent를 dispatch 한다.
+ * - 전역 이벤트 버스에 같은 payload로 emit 한다.
+ * - `component.embedded`이면 아무것도 하지 않는다.
+ *
+ * @param {Object} component 이벤트를 발생시키는 컴포넌트 인스턴스
+ * @param {string} type 이벤트 타입
+ * @param {Object} [detail={}] payload 추가 필드
+ */
+export function emitComponentEvent(component, type, detail = {}) {
+    if (component.embedded) {
+        return;
+    }
+
+    const payload = {type, id: component.id, el: component.el, ...detail};
+
+    if (component.el) {
+        component.el.dispatchEvent(new CustomEvent(`${utils.RULES.classPrefix}:${type}`, {
+            bubbles: true,
+            composed: true,
+            detail: payload,
+        }));
+    }
+
+    emit(type, payload);
+}
@@ -0,0 +1,268 @@
+import * as utils from "../utils/utils.js";
+import {getLocale} from "./i18n.js";
+
+/**
+ * locale 기반 값 formatter registry
+ *
+ * 모든 내장 formatter는 `Intl` API로 구현되며 현재 i18n locale을 따른다.
+ *
+ * | 이름       | 입력 값                         | 주요 옵션                                        |
+ * |------------|---------------------------------|--------------------------------------------------|
+ * | `number`   | number                          | Intl.NumberFormat 옵션                           |
+ * | `percent`  | number (0~100, ratio면 0~1)     | `ratio`, Intl.NumberFormat 옵션                  |
+ * | `bytes`    | number (byte)                   | `base`(1024), `maximumFractionDigits`(1)         |
+ * | `duration` | number (ms, unit이 s면 초)      | `unit`("ms"), `parts`(2)                         |
+ * | `date`     | Date, timestamp, 날짜 문자열    | Intl.DateTimeFormat 옵션                         |
+ * | `relative` | Date, timestamp, 날짜 문자열    | Intl.RelativeTimeFormat 옵션, `now`              |
+ *
+ * format spec은 아래 형태 중 하나다.
+ * - 문자열: formatter 이름 (`"bytes"`)
+ * - 객체: `{type: "bytes", ...옵션}`
+ * - 함수: `(value, locale) => string`
+ *
+ * spec이 없으면 number 값만 `number` formatter로 자릿수 구분하고, 그 외 값은 문자열로 표시한다.
+ */
+
+/**
+ * 등록된 formatter
+ *
+ * @private
+ * @type {Map<string, function(*, Object, string): string>}
+ */
+const FORMATTERS = new Map();
+
+/**
+ * Intl formatter 인스턴스 cache
+ *
+ * @private
+ * @type {Map<string, Object>}
+ */
+const INTL_CACHE = new Map();
+
+/**
+ * 같은 locale/옵션의 Intl formatter를 재사용한다.
+ *
+ * @private
+ */
+function getIntl(Ctor, locale, options) {
+    const cacheKey = `${Ctor.name}|${locale}|${JSON.stringify(options)}`;
+    if (!INTL_CACHE.has(cacheKey)) {
+        INTL_CACHE.set(cacheKey, new Ctor(locale, options));
+    }
+    return INTL_CACHE.get(cacheKey);
+}
+
+/**
+ * 숫자로 변환할 수 없으면 null을 반환한다.
+ *
+ * @private
+ */
+function toNumber(value) {
+    if (value === null || value === "" || typeof value === "boolean") {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Date로 변환할 수 없으면 null을 반환한다.
+ *
+ * @private
+ */
+function toDate(value) {
+    if (value === null || value === "") {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 변환할 수 없는 값의 표시 문자열
+ *
+ * @private
+ */
+function fallback(value) {
+    return value === null || value === undefined ? "" : String(value);
+}
+
+const BYTE_UNITS = ["byte", "kilobyte", "megabyte", "gigabyte", "terabyte", "petabyte"];
+
+const DURATION_UNITS = [
+    ["day", 86400000],
+    ["hour", 3600000],
+    ["minute", 60000],
+    ["second", 1000],
+];
+
+const RELATIVE_UNITS = [
+    ["year", 31536000000],
+    ["month", 2592000000],
+    ["week", 604800000],
+    ["day", 86400000],
+    ["hour", 3600000],
+    ["minute", 60000],
+    ["second", 1000],
+];
+
+FORMATTERS.set("number", (value, options, locale) => {
+    const number = toNumber(value);
+    return number === null ? fallback(value) : getIntl(Intl.NumberFormat, locale, options).format(number);
+});
+
+FORMATTERS.set("percent", (value, {ratio = false, ...options}, locale) => {
+    const number = toNumber(value);
+    if (number === null) {
+        return fallback(value);
+    }
+
+    const intlOptions = {maximumFractionDigits: 1, ...options, style: "percent"};
+    return getIntl(Intl.NumberFormat, locale, intlOptions).format(ratio ? number : number / 100);
+});
+
+FORMATTERS.set("bytes", (value, {base = 1024, ...options}, locale) => {
+    const number = toNumber(value);
+    if (number === null) {
+        return fallback(value);
+    }
+
+    let size = Math.abs(number);
+    let unitIndex = 0;
+    while (size >= base && unitIndex < BYTE_UNITS.length - 1) {
+        size /= base;
+        unitIndex++;
+    }
+
+    const intlOptions = {
+        maximumFractionDigits: unitIndex === 0 ? 0 : 1,
+        ...options,
+        style: "unit",
+        unit: BYTE_UNITS[unitIndex],
+        unitDisplay: options.unitDisplay || "short",
+    };
+    return getIntl(Intl.NumberFormat, locale, intlOptions).format(Math.sign(number) * size);
+});
+
+FORMATTERS.set("duration", (value, {unit = "ms", parts = 2, unitDisplay = "narrow"}, locale) => {
+    const number = toNumber(value);
+    if (number === null) {
+        return fallback(value);
+    }
+
+    let rest = Math.abs(unit === "s" ? number * 1000 : number);
+    const sign = number < 0 ? "-" : "";
+
+    if (rest < 1000) {
+        const ms = getIntl(Intl.NumberFormat, locale, {style: "unit", unit: "millisecond", unitDisplay, maximumFractionDigits: 0});
+        return sign + ms.format(rest);
+    }
+
+    const result = [];
+    for (const [name, size] of DURATION_UNITS) {
+        if (result.length >= parts) {
+            break;
+        }
+        const amount = Math.floor(rest / size);
+        rest -= amount * size;
+        // 앞쪽 0 단위는 건너뛰고, 표시가 시작된 뒤 0 단위가 나오면 그 이하는 생략한다.
+        if (amount > 0) {
+            result.push(getIntl(Intl.NumberFormat, locale, {style: "unit", unit: name, unitDisplay}).format(amount));
+        } else if (result.length) {
+            break;
+        }
+    }
+    return sign + result.join(" ");
+});
+
+FORMATTERS.set("date", (value, options, locale) => {
+    const date = toDate(value);
+    if (date === null) {
+        return fallback(value);
+    }
+
+    const intlOptions = Object.keys(options).length ? options : {dateStyle: "medium", timeStyle: "short"};
+    return getIntl(Intl.DateTimeFormat, locale, intlOptions).format(date);
+});
+
+FORMATTERS.set("relative", (value, {now, ...options}, locale) => {
+    const date = toDate(value);
+    if (date === null) {
+        return fallback(value);
+    }
+
+    const diff = date.getTime() - (now ? toDate(now).getTime() : Date.now());
+    const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(diff) >= size) || RELATIVE_UNITS.at(-1);
+    const rtf = getIntl(Intl.RelativeTimeFormat, locale, {numeric: "auto", ...options});
+    return rtf.format(Math.round(diff / size), unit);
+});
+
+/**
+ * formatter를 등록한다. 같은 이름이 있으면 덮어쓴다.
+ *
+ * @param {string} name formatter 이름
+ * @param {function(*, Object, string): string} formatter `(value, options, locale) => string`
+ *
+ * @example
+ * registerFormatter("temperature", (value, {unit = "celsius"}, locale) =>
+ *     new Intl.NumberFormat(locale, {style: "unit", unit}).format(value));
+ */
+export function registerFormatter(name, formatter) {
+    if (!name || typeof formatter !== "function") {
+        throw new TypeError("Formatter requires a name and a function.");
+    }
+    FORMATTERS.set(name, formatter);
+}
+
+/**
+ * spec에 따라 값을 현재 locale 문자열로 변환한다.
+ *
+ * @param {*} value 원본 값
+ * @param {string|Object|Function} [spec] format spec
+ * @returns {string}
+ *
+ * @example
+ * formatValue(1234567); // "1,234,567"
+ * formatValue(1536, "bytes"); // "1.5 kB"
+ * formatValue(0.42, {type: "percent", ratio: true}); // "42%"
+ */
+export function formatValue(value, spec) {
+    const locale = getLocale();
+
+    if (typeof spec === "function") {
+        return fallback(spec(value, locale));
+    }
+
+    if (!spec) {
+        return typeof value === "number" ? FORMATTERS.get("number")(value, {}, locale) : fallback(value);
+    }
+
+    const {type, ...options} = typeof spec === "string" ? {type: spec} : spec;
+    const formatter = FORMATTERS.get(type);
+    if (!formatter) {
+        throw new Error(`Unknown formatter "${type}"`);
+    }
+
+    return fallback(formatter(value, options, locale));
+}
+
+/**
+ * schema의 field별 `format`과 options.format을 합쳐 field → spec map을 만든다.
+ *
+ * options.format이 schema보다 우선한다.
+ *
+ * @param {Object} [schema] 컴포넌트 schema (`{field: {value, format}}` 형식 항목)
+ * @param {Object.<string, string|Object|Function>} [format] options.format
+ * @returns {Object.<string, string|Object|Function>}
+ */
+export function resolveFormats(schema, format) {
+    const formats = {};
+
+    Object.entries(schema || {}).forEach(([field, entry]) => {
+        if (utils.isFieldSpec(entry)) {
+            formats[field] = entry.format;
+        }
+    });
+
+    return {...formats, ...format};
+}
@@ -0,0 +1,307 @@
+/**
+ * custom 렌더러용 HTML 마크업
+ *
+ * - `html` tagged template : 템플릿의 고정 문자열은 그대로, 보간(`${}`) 값은 escape 하여 마크업을 만든다.
+ *   보간 값이 {@link SafeHtml}이면 escape 하지 않고, 배열이면 각 값을 이어 붙인다. (null, undefined, false는 빈 문자열)
+ * - `trustedHtml(html)` : 서버 응답 등 렌더링할 HTML 문자열을 allow-list 기준으로 sanitize 하여 마크업으로 만든다.
+ *   허용하지 않은 태그는 제거하고(script, style 등은 내용까지 제거), 허용하지 않은 속성과
+ *   http/https/mailto/tel 외 scheme의 URL 속성을 제거한다.
+ *
+ * custom 렌더러는 SafeHtml을 그대로 반환할 수 있으며, {@link toFragment}로 DOM 노드가 된다.
+ * 일반 문자열은 HTML로 해석하지 않고 텍스트로 표시된다.
+ *
+ * ⚠ `html`의 고정 문자열은 개발자가 작성한 마크업으로 신뢰하므로 검사하지 않는다.
+ *   속성 값 위치의 보간도 escape만 하므로, 외부 URL을 href/src에 넣을 때는 trustedHtml을 사용한다.
+ *
+ * @example
+ * custom: {
+ *   body: ({rawData}) => UI.html`<ul>${rawData.map(d => UI.html`<li>${d.name}</li>`)}</ul>`,
+ *   footer: () => fetch("/api/notice").then(res => res.text()).then(UI.trustedHtml),
+ * }
+ */
+
+/**
+ * 내용까지 제거하는 태그
+ *
+ * @private
+ */
+const DROP_CONTENT_TAGS = new Set([
+    "script", "style", "template", "iframe", "object", "embed", "noscript", "noembed", "noframes",
+    "textarea", "title", "xmp", "select", "svg", "math",
+]);
+
+/**
+ * 허용하는 태그
+ *
+ * @private
+ */
+const ALLOWED_TAGS = new Set([
+    "a", "abbr", "b", "blockquote", "br", "caption", "cite", "code", "col", "colgroup", "dd", "del",
+    "details", "div", "dl", "dt", "em", "figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6",
+    "hr", "i", "img", "ins", "kbd", "li", "mark", "ol", "p", "pre", "q", "s", "samp", "small", "span",
+    "strong", "sub", "summary", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "time", "tr",
+    "u", "ul", "var", "wbr",
+]);
+
+/**
+ * 모든 태그에 허용하는 속성 (`data-*`, `aria-*`는 항상 허용)
+ *
+ * @private
+ */
+const GLOBAL_ATTRS = new Set(["class", "title", "lang", "dir", "role"]);
+
+/**
+ * 태그별로 허용하는 속성
+ *
+ * @private
+ */
+const TAG_ATTRS = {
+    a: new Set(["href", "target", "rel"]),
+    img: new Set(["src", "alt", "width", "height"]),
+    td: new Set(["colspan", "rowspan"]),
+    th: new Set(["colspan", "rowspan", "scope"]),
+    col: new Set(["span"]),
+    colgroup: new Set(["span"]),
+    ol: new Set(["start", "reversed"]),
+    time: new Set(["datetime"]),
+    details: new Set(["open"]),
+    q: new Set(["cite"]),
+    blockquote: new Set(["cite"]),
+};
+
+/**
+ * URL 값을 가지는 속성
+ *
+ * @private
+ */
+const URL_ATTRS = new Set(["href", "src", "cite"]);
+
+/**
+ * 허용하는 URL scheme (scheme이 없는 상대 경로는 항상 허용)
+ *
+ * @private
+ */
+const SAFE_SCHEMES = /^(?:https?|mailto|tel)$/i;
+
+/**
+ * 태그(또는 주석) 토큰
+ * 1: 닫는 태그 여부, 2: 태그 이름, 3: 속성 문자열
+ *
+ * @private
+ */
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+
+/**
+ * 속성 토큰
+ * 1: 이름, 2/3/4: 값 ("", '', 따옴표 없음)
+ *
+ * @private
+ */
+const ATTR_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * 해석하는 문자 참조 (그 외 이름은 문자 그대로 escape 된다)
+ *
+ * @private
+ */
+const ENTITIES = {amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00a0"};
+
+/**
+ * 렌더링해도 안전한 HTML 마크업
+ *
+ * {@link html} 또는 {@link trustedHtml}로 생성한다.
+ */
+export class SafeHtml {
+    /**
+     * @param {string} html
+     */
+    constructor(html) {
+        this.html = html;
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+/**
+ * HTML 특수 문자를 escape 한다.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * 보간 값을 마크업 문자열로 변환한다.
+ *
+ * @private
+ */
+function interpolate(value) {
+    if (value instanceof SafeHtml) {
+        return value.html;
+    }
+    if (Array.isArray(value)) {
+        return value.map(interpolate).join("");
+    }
+    if (value === null || value === undefined || value === false) {
+        return "";
+    }
+    return escapeHtml(value);
+}
+
+/**
+ * 보간 값을 escape 하는 HTML tagged template
+ *
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {SafeHtml}
+ *
+ * @example
+ * html`<strong>${name}</strong>`; // name = "<b>x</b>" → <strong>&lt;b&gt;x&lt;/b&gt;</strong>
+ */
+export function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, index) => {
+        result += interpolate(value) + strings[index + 1];
+    });
+    return new SafeHtml(result);
+}
+
+/**
+ * 문자 참조를 해석한다.
+ *
+ * @private
+ */
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === "#") {
+            const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * URL 속성 값의 scheme이 허용된 것인지 확인한다.
+ *
+ * @private
+ */
+function isSafeUrl(value) {
+    // 제어 문자와 공백을 제거한 뒤 검사한다. (java\tscript: 등)
+    const scheme = /^([^/?#]*?):/.exec(value.replace(/[\u0000-\u0020]/g, ""));
+    return !scheme || SAFE_SCHEMES.test(scheme[1]);
+}
+
+/**
+ * 허용된 속성만 남긴 속성 문자열을 만든다.
+ *
+ * @private
+ */
+function sanitizeAttributes(tag, source) {
+    const attrs = new Map();
+
+    for (const [, rawName, ...rawValues] of source.matchAll(ATTR_PATTERN)) {
+        const name = rawName.toLowerCase();
+        const allowed = GLOBAL_ATTRS.has(name) || TAG_ATTRS[tag]?.has(name)
+            || name.startsWith("data-") || name.startsWith("aria-");
+        if (!allowed || attrs.has(name)) {
+            continue;
+        }
+
+        const value = decodeEntities(rawValues.find(v => v !== undefined) ?? "");
+        if (URL_ATTRS.has(name) && !isSafeUrl(value)) {
+            continue;
+        }
+        attrs.set(name, value);
+    }
+
+    // 새 창으로 여는 링크는 opener 접근을 막는다.
+    if (tag === "a" && attrs.has("target")) {
+        attrs.set("rel", "noopener noreferrer");
+    }
+
+    return [...attrs].map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join("");
+}
+
+/**
+ * HTML 문자열을 allow-list 기준으로 sanitize 한다.
+ *
+ * 허용한 태그와 속성만으로 마크업을 다시 만들고, 태그가 아닌 `<`, `>`는 escape 한다.
+ * DOM 파서를 사용하지 않으므로 서버 렌더링(core/ssr.js)에서도 같은 결과를 얻는다.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+export function sanitizeHtml(source) {
+    const input = String(source ?? "");
+    const escapeText = text => text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    let result = "";
+    let lastIndex = 0;
+
+    TAG_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TAG_PATTERN.exec(input))) {
+        result += escapeText(input.slice(lastIndex, match.index));
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        const [, closing, rawTag, attrs] = match;
+        if (!rawTag) {
+            continue; // 주석
+        }
+
+        const tag = rawTag.toLowerCase();
+        if (!closing && DROP_CONTENT_TAGS.has(tag)) {
+            // 닫는 태그까지 내용을 제거한다. (닫는 태그가 없으면 끝까지)
+            const end = input.toLowerCase().indexOf(`</${tag}`, lastIndex);
+            const close = end < 0 ? -1 : input.indexOf(">", end);
+            lastIndex = close < 0 ? input.length : close + 1;
+            TAG_PATTERN.lastIndex = lastIndex;
+            continue;
+        }
+
+        if (ALLOWED_TAGS.has(tag)) {
+            result += closing ? `</${tag}>` : `<${tag}${sanitizeAttributes(tag, attrs)}>`;
+        }
+    }
+
+    return result + escapeText(input.slice(lastIndex));
+}
+
+/**
+ * HTML 문자열을 sanitize 하여 렌더링할 수 있는 마크업으로 만든다.
+ *
+ * @param {string} source 렌더링할 HTML
+ * @returns {SafeHtml}
+ */
+export function trustedHtml(source) {
+    return new SafeHtml(sanitizeHtml(source));
+}
+
+/**
+ * 마크업을 DocumentFragment로 변환한다.
+ *
+ * 서버 document(core/ssr.js)에서는 HTML을 해석하지 않고 그대로 출력하는 노드가 된다.
+ *
+ * @param {SafeHtml} markup
+ * @returns {DocumentFragment}
+ */
+export function toFragment(markup) {
+    const template = document.createElement("template");
+    template.innerHTML = markup.html;
+    if (template.content) {
+        return template.content;
+    }
+
+    const fragment = document.createDocumentFragment();
+    fragment.append(...template.childNodes);
+    return fragment;
+}
@@ -0,0 +1,206 @@
+/**
+ * 내장 문구 메시지 카탈로그
+ *
+ * 컴포넌트의 기본 문구(empty, error, loading, pagination, sort, filter, aria label 등)는
+ * 모두 이 카탈로그에서 현재 locale 기준으로 조회한다.
+ *
+ * - 메시지 안의 `{name}`은 params 값으로 치환된다.
+ * - 조회 순서: 현재 locale → 언어 코드(en-US → en) → 기본 locale(ko) → key
+ */
+
+/**
+ * 기본 locale
+ *
+ * @private
+ */
+const DEFAULT_LOCALE = "ko";
+
+/**
+ * locale별 메시지
+ *
+ * @private
+ * @type {Object.<string, Object.<string, string>>}
+ */
+const MESSAGES = {
+    ko: {
+        "empty": "데이터 없음",
+        "error": "처리중 오류가 발생했습니다.",
+        "loading": "불러오는 중...",
+        "retry": "다시 시도",
+        "pagination.prev": "이전",
+        "pagination.next": "다음",
+        "pagination.total": "총 {total}건",
+        "pagination.more": "더 보기",
+        "sort.label": "정렬",
+        "sort.none": "기본 순서",
+        "sort.asc": "오름차순",
+        "sort.desc": "내림차순",
+        "filter.label": "검색",
+        "filter.placeholder": "검색어 입력",
+        "filter.count": "{count} / {total}건",
+        "filter.empty": "검색 결과 없음",
+        "aria.pagination": "페이지 이동",
+        "aria.page": "{page} 페이지",
+        "aria.status": "상태: {status}",
+        "aria.connection": "연결 상태: {state}",
+        "connection.connecting": "연결 중",
+        "connection.open": "연결됨",
+        "connection.reconnecting": "재연결 중",
+        "connection.closed": "연결 끊김",
+    },
+    en: {
+        "empty": "No data",
+        "error": "An error occurred while processing.",
+        "loading": "Loading...",
+        "retry": "Retry",
+        "pagination.prev": "Previous",
+        "pagination.next": "Next",
+        "pagination.total": "{total} total",
+        "pagination.more": "Load more",
+        "sort.label": "Sort by",
+        "sort.none": "Default order",
+        "sort.asc": "Ascending",
+        "sort.desc": "Descending",
+        "filter.label": "Filter",
+        "filter.placeholder": "Filter...",
+        "filter.count": "{count} of {total}",
+        "filter.empty": "No matching items",
+        "aria.pagination": "Pagination",
+        "aria.page": "Page {page}",
+        "aria.status": "Status: {status}",
+        "aria.connection": "Connection: {state}",
+        "connection.connecting": "Connecting",
+        "connection.open": "Connected",
+        "connection.reconnecting": "Reconnecting",
+        "connection.closed": "Disconnected",
+    },
+    ja: {
+        "empty": "データなし",
+        "error": "処理中にエラーが発生しました。",
+        "loading": "読み込み中...",
+        "retry": "再試行",
+        "pagination.prev": "前へ",
+        "pagination.next": "次へ",
+        "pagination.total": "全{total}件",
+        "pagination.more": "もっと見る",
+        "sort.label": "並べ替え",
+        "sort.none": "標準の順序",
+        "sort.asc": "昇順",
+        "sort.desc": "降順",
+        "filter.label": "検索",
+        "filter.placeholder": "検索語を入力",
+        "filter.count": "{total}件中{count}件",
+        "filter.empty": "該当なし",
+        "aria.pagination": "ページ移動",
+        "aria.page": "{page}ページ",
+        "aria.status": "状態: {status}",
+        "aria.connection": "接続状態: {state}",
+        "connection.connecting": "接続中",
+        "connection.open": "接続済み",
+        "connection.reconnecting": "再接続中",
+        "connection.closed": "切断",
+    },
+};
+
+/**
+ * 현재 locale
+ *
+ * @private
+ */
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * locale 변경 구독자
+ *
+ * @private
+ * @type {Set<function(string): void>}
+ */
+const LISTENERS = new Set();
+
+/**
+ * locale에서 key에 해당하는 메시지를 찾는다.
+ *
+ * @private
+ */
+function lookup(locale, key) {
+    return MESSAGES[locale]?.[key];
+}
+
+/**
+ * 현재 locale 기준으로 메시지를 조회한다.
+ *
+ * @param {string} key 메시지 key
+ * @param {Object.<string, *>} [params] `{name}` 치환 값
+ * @returns {string} 메시지 (찾지 못하면 key)
+ *
+ * @example
+ * t("empty"); // "데이터 없음"
+ * t("pagination.total", {total: 120}); // "총 120건"
+ */
+export function t(key, params) {
+    const language = currentLocale.split("-")[0];
+    const message = lookup(currentLocale, key)
+        ?? lookup(language, key)
+        ?? lookup(DEFAULT_LOCALE, key)
+        ?? key;
+
+    if (!params) {
+        return message;
+    }
+
+    return message.replace(/\{(\w+)}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * 현재 locale을 반환한다.
+ *
+ * @returns {string}
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * locale을 변경하고 구독자에게 알린다.
+ *
+ * 카탈로그에 없는 locale도 설정할 수 있으며, 이 경우 기본 locale 메시지로 대체된다.
+ *
+ * @param {string} locale locale 코드 (예: "ko", "en", "ja", "en-US")
+ */
+export function setLocale(locale) {
+    if (!locale || typeof locale !== "string") {
+        throw new TypeError("locale must be a non-empty string.");
+    }
+
+    if (locale === currentLocale) {
+        return;
+    }
+
+    currentLocale = locale;
+    LISTENERS.forEach(listener => listener(locale));
+}
+
+/**
+ * locale에 메시지를 추가하거나 덮어쓴다.
+ *
+ * @param {string} locale locale 코드
+ * @param {Object.<string, string>} messages key-메시지 객체
+ *
+ * @example
+ * addMessages("en", {"empty": "Nothing to show"});
+ * addMessages("zh", {"empty": "无数据"});
+ */
+export function addMessages(locale, messages = {}) {
+    MESSAGES[locale] = {...MESSAGES[locale], ...messages};
+}
+
+/**
+ * locale 변경을 구독한다.
+ *
+ * @param {function(string): void} listener
+ * @returns {function(): void} 구독 해제 함수
+ */
+export function onLocaleChange(listener) {
+    LISTENERS.add(listener);
+    return () => LISTENERS.delete(listener);
+}
@@ -0,0 +1,191 @@
+import * as utils from "../utils/utils.js";
+import {patchChildren} from "./patch.js";
+
+/**
+ * 컴포넌트 로딩(skeleton) 상태
+ *
+ * `setLoading(true)` 후 delay(ms)가 지나도 로딩이 끝나지 않은 경우에만 skeleton을 표시하여
+ * 빠른 응답에서는 화면이 깜빡이지 않도록 한다.
+ *
+ * - pending: delay 대기 중. 이전 내용은 유지하되 empty 문구는 표시하지 않는다.
+ * - visible: skeleton 표시 중. body 영역에 `aria-busy="true"`가 설정된다.
+ * - 다음 setData 또는 `setLoading(false)`로 해제된다.
+ */
+
+/**
+ * skeleton 표시 전 기본 대기 시간(ms)
+ */
+export const DEFAULT_LOADING_DELAY = 200;
+
+/**
+ * @typedef {Object} LoadingState
+ * @property {boolean} active 로딩 중 여부 (pending 또는 visible)
+ * @property {boolean} visible skeleton 표시 여부
+ * @property {function(boolean): void} set 로딩 상태를 변경한다. skeleton 표시 여부가 바뀌면 onChange를 호출한다.
+ * @property {function(): void} clear onChange 호출 없이 로딩 상태를 해제한다. (setData, destroy 용)
+ */
+
+/**
+ * 로딩 상태를 생성한다.
+ *
+ * @param {Object} options
+ * @param {number} [options.delay=DEFAULT_LOADING_DELAY] skeleton 표시 전 대기 시간(ms), 0이면 즉시 표시
+ * @param {function(boolean): void} options.onChange skeleton 표시 여부가 바뀔 때 호출
+ * @returns {LoadingState}
+ *
+ * @example
+ * const loading = createLoadingState({
+ *   delay: 300,
+ *   onChange: (visible) => spinner.hidden = !visible
+ * });
+ */
+export function createLoadingState({delay = DEFAULT_LOADING_DELAY, onChange}) {
+    let timer = null;
+    let visible = false;
+
+    function show() {
+        timer = null;
+        visible = true;
+        onChange(true);
+    }
+
+    function clear() {
+        clearTimeout(timer);
+        timer = null;
+        visible = false;
+    }
+
+    return {
+        get active() {
+            return visible || timer !== null;
+        },
+
+        get visible() {
+            return visible;
+        },
+
+        set(loading) {
+            if (loading) {
+                if (visible || timer !== null) {
+                    return;
+                }
+                if (delay > 0) {
+                    timer = setTimeout(show, delay);
+                } else {
+                    show();
+                }
+                return;
+            }
+
+            const wasVisible = visible;
+            clear();
+            if (wasVisible) {
+                onChange(false);
+            }
+        },
+
+        clear,
+    };
+}
+
+/**
+ * 컴포넌트용 로딩 상태를 생성한다.
+ *
+ * skeleton 표시 여부가 바뀌면 컴포넌트의 body를 다시 렌더링하고,
+ * skeleton이 해제되면 사용자 이벤트를 다시 바인딩한 뒤 afterDraw를 호출한다.
+ *
+ * @param {Object} component options.loadingDelay, renderBody, bindEvents, afterDraw를 가진 컴포넌트
+ * @returns {LoadingState}
+ *
+ * @example
+ * this.loading = createComponentLoading(this);
+ */
+export function createComponentLoading(component) {
+    return createLoadingState({
+        delay: component.options.loadingDelay,
+        onChange: (visible) => {
+            if (!component.el) {
+                return;
+            }
+
+            component.renderBody();
+            if (!visible) {
+                component.bindEvents();
+                component.afterDraw();
+            }
+        },
+    });
+}
+
+/**
+ * 컴포넌트의 로딩 상태를 설정한다. (컴포넌트 setLoading 구현)
+ *
+ * skeleton 표시 전(delay 동안)에는 empty 문구 대신 빈 영역을 표시하도록 body를 다시 렌더링한다.
+ *
+ * @param {Object} component createComponentLoading으로 만든 loading을 가진 컴포넌트
+ * @param {boolean} [loading=true]
+ */
+export function setComponentLoading(component, loading = true) {
+    const wasActive = component.loading.active;
+    component.loading.set(loading);
+
+    if (component.el && wasActive !== component.loading.active && !component.loading.visible && !component.viewData?.length) {
+        component.renderBody();
+    }
+}
+
+/**
+ * skeleton 표시 중이면 컴포넌트 body를 skeleton으로 교체한다. (renderBody 앞부분)
+ *
+ * skeleton 모양은 컴포넌트의 renderSkeleton()이 결정한다.
+ *
+ * @param {Object} component bodyEl, loading, renderSkeleton을 가진 컴포넌트
+ * @returns {boolean} skeleton을 렌더링했으면 true (나머지 body 렌더링은 생략한다)
+ *
+ * @example
+ * renderBody() {
+ *     if (renderLoadingBody(this)) {
+ *         return;
+ *     }
+ *     // ...
+ * }
+ */
+export function renderLoadingBody(component) {
+    const {bodyEl, loading} = component;
+
+    renderBusy(bodyEl, loading.visible);
+    if (!loading.visible) {
+        return false;
+    }
+
+    patchChildren(bodyEl, [component.renderSkeleton()]);
+    return true;
+}
+
+/**
+ * skeleton 블록 요소를 생성한다.
+ *
+ * @param {string|string[]} [names=[]] 추가 class 이름 (prefix 적용, 크기/모양 지정용)
+ * @param {string} [tag="span"]
+ * @returns {HTMLElement}
+ *
+ * @example
+ * createSkeleton("listView-skeleton-title"); // <span class="dh-skeleton dh-listView-skeleton-title">
+ */
+export function createSkeleton(names = [], tag = "span") {
+    return utils.h(tag, {class: ["skeleton", ...[].concat(names)]});
+}
+
+/**
+ * skeleton 표시 여부에 따라 영역의 aria-busy 속성을 설정한다.
+ *
+ * @param {HTMLElement} el 로딩 중인 영역
+ * @param {boolean} busy
+ */
+export function renderBusy(el, busy) {
+    if (busy) {
+        el.setAttribute("aria-busy", "true");
+    } else {
+        el.removeAttribute("aria-busy");
+    }
+}
@@ -0,0 +1,107 @@
+import * as utils from "../utils/utils.js";
+import {t} from "./i18n.js";
+
+/**
+ * 목록 페이지 이동(pager)
+ *
+ * 컴포넌트 footer에 이전/다음 버튼, 페이지 번호, 전체 건수를 표시한다.
+ * 페이지 번호는 현재 페이지 주변 maxButtons개를 표시하고, 범위 밖의 첫/마지막 페이지는 생략 기호(…)와 함께 표시한다.
+ *
+ * 페이지는 1부터 시작한다.
+ */
+
+/**
+ * 기본 페이지 번호 버튼 수
+ */
+export const DEFAULT_PAGE_BUTTONS = 5;
+
+/**
+ * @typedef {Object} PageState
+ * @property {number} page 현재 페이지 (1부터 시작)
+ * @property {number} size 페이지당 항목 수
+ * @property {number} total 전체 항목 수
+ */
+
+/**
+ * 전체 페이지 수를 반환한다. (항목이 없어도 1)
+ *
+ * @param {number} total 전체 항목 수
+ * @param {number} size 페이지당 항목 수
+ * @returns {number}
+ */
+export function getPageCount(total, size) {
+    return Math.max(1, Math.ceil(total / Math.max(1, size)));
+}
+
+/**
+ * 표시할 페이지 번호 목록을 반환한다.
+ *
+ * @param {number} page 현재 페이지
+ * @param {number} pageCount 전체 페이지 수
+ * @param {number} [maxButtons=DEFAULT_PAGE_BUTTONS] 현재 페이지 주변에 표시할 번호 수
+ * @returns {Array<number|null>} 페이지 번호 (null은 생략 기호)
+ *
+ * @example
+ * getPageRange(6, 20, 5); // [1, null, 4, 5, 6, 7, 8, null, 20]
+ */
+export function getPageRange(page, pageCount, maxButtons = DEFAULT_PAGE_BUTTONS) {
+    const count = Math.max(1, Math.min(maxButtons, pageCount));
+    const start = Math.max(1, Math.min(page - Math.floor(count / 2), pageCount - count + 1));
+    const end = start + count - 1;
+
+    const pages = [];
+    if (start > 1) {
+        pages.push(1);
+        if (start > 2) {
+            pages.push(null);
+        }
+    }
+    for (let p = start; p <= end; p++) {
+        pages.push(p);
+    }
+    if (end < pageCount) {
+        if (end < pageCount - 1) {
+            pages.push(null);
+        }
+        pages.push(pageCount);
+    }
+    return pages;
+}
+
+/**
+ * pager 요소를 생성한다.
+ *
+ * @param {PageState} state 페이지 상태
+ * @param {Object} options
+ * @param {function(number): void} options.onChange 페이지 버튼 클릭 시 이동할 페이지와 함께 호출
+ * @param {number} [options.maxButtons=DEFAULT_PAGE_BUTTONS] 표시할 페이지 번호 수
+ * @returns {HTMLElement}
+ *
+ * @example
+ * renderPager({page: 2, size: 10, total: 120}, {onChange: (page) => listView.setPage(page)});
+ */
+export function renderPager({page, size, total}, {onChange, maxButtons = DEFAULT_PAGE_BUTTONS}) {
+    const pageCount = getPageCount(total, size);
+    const button = (target, disabled, props, label) => utils.h("button", {
+        type: "button",
+        disabled: disabled || null,
+        onClick: () => onChange(target),
+        ...props,
+    }, label);
+
+    return utils.h("nav", {class: ["pager"], "aria-label": t("aria.pagination")},
+        button(page - 1, page <= 1, {class: ["pager-prev"], dataset: {key: "prev"}}, t("pagination.prev")),
+        utils.h("ul", {class: ["pager-pages"]},
+            getPageRange(page, pageCount, maxButtons).map((p, index) => p === null
+                ? utils.h("li", {class: ["pager-ellipsis"], dataset: {key: `ellipsis-${index}`}, "aria-hidden": "true"}, "…")
+                : utils.h("li", {dataset: {key: p}},
+                    button(p, false, {
+                        class: ["pager-page"],
+                        "aria-label": t("aria.page", {page: p}),
+                        "aria-current": p === page ? "page" : null,
+                    }, String(p))))
+        ),
+        button(page + 1, page >= pageCount, {class: ["pager-next"], dataset: {key: "next"}}, t("pagination.next")),
+        utils.h("span", {class: ["pager-total"], dataset: {key: "total"}}, t("pagination.total", {total}))
+    );
+}
@@ -0,0 +1,242 @@
+import * as utils from "../utils/utils.js";
+
+/**
+ * keyed DOM patch renderer
+ *
+ * 컴포넌트는 매 렌더링마다 새 DOM을 만들고, 이 모듈이 새 DOM을 기준으로
+ * 기존(live) DOM을 변경된 부분만 수정한다. (morph)
+ * 변경되지 않은 노드는 그대로 유지되므로 hover, focus, scroll 위치가 보존된다.
+ *
+ * - 형제 노드는 `data-key` 속성으로 매칭하고, key가 없으면 순서대로 매칭한다.
+ * - 태그가 다르면 노드를 교체한다.
+ * - 속성(attribute)을 동기화하되, 이벤트 표시용 class(RULES.eventClass, eventActiveClass)는 유지한다.
+ * - `_ui*` expando(`_uiIndex`, `_uiAction` 등)를 새 노드 기준으로 동기화한다.
+ * - `_uiListeners`로 추적되는 리스너({@link utils.addListener})를 새 노드 기준으로 교체한다.
+ * - 같은 이름의 아이콘(`data-lucide`)은 변경 없음으로 간주한다. (iconEngine이 변환한 svg 유지)
+ * - `_uiSkipChildren`이 설정된 요소는 하위 컴포넌트가 관리하므로 자식 노드를 비교하지 않는다.
+ */
+
+/**
+ * 리스너 목록 expando
+ *
+ * @private
+ */
+const LISTENERS_KEY = "_uiListeners";
+
+/**
+ * value/checked 프로퍼티를 동기화할 요소
+ *
+ * @private
+ */
+const FORM_TAGS = ["INPUT", "SELECT", "TEXTAREA"];
+
+/**
+ * 노드의 key를 반환한다.
+ *
+ * @private
+ * @param {Node} node
+ * @returns {string|null}
+ */
+function getKey(node) {
+    return node.nodeType === 1 ? node.getAttribute("data-key") : null;
+}
+
+/**
+ * 같은 종류의 노드인지 확인한다.
+ *
+ * @private
+ */
+function isSameType(from, to) {
+    return from.nodeType === to.nodeType && from.nodeName === to.nodeName;
+}
+
+/**
+ * 아이콘 placeholder와 변환된 아이콘이 같은 아이콘인지 확인한다.
+ *
+ * @private
+ */
+function isSameIcon(from, to) {
+    if (from.nodeType !== 1 || to.nodeType !== 1) {
+        return false;
+    }
+    const icon = to.getAttribute("data-lucide");
+    return icon !== null && from.getAttribute("data-lucide") === icon;
+}
+
+/**
+ * key 없는 노드를 재사용(patch)할 수 있는지 확인한다.
+ *
+ * @private
+ */
+function isMatchable(from, to) {
+    return isSameType(from, to) || isSameIcon(from, to);
+}
+
+/**
+ * class 속성을 동기화한다. 이벤트 표시용 class는 유지한다.
+ *
+ * @private
+ */
+function syncClass(from, to) {
+    const preserved = [utils.RULES.eventClass, utils.RULES.eventActiveClass]
+        .filter(className => from.classList.contains(className));
+    const next = [to.getAttribute("class"), ...preserved].filter(Boolean).join(" ");
+
+    if (!next) {
+        from.removeAttribute("class");
+    } else if (from.getAttribute("class") !== next) {
+        from.setAttribute("class", next);
+    }
+}
+
+/**
+ * 속성을 동기화한다.
+ *
+ * @private
+ */
+function syncAttributes(from, to) {
+    [...from.attributes].forEach(({name}) => {
+        if (name !== "class" && !to.hasAttribute(name)) {
+            from.removeAttribute(name);
+        }
+    });
+
+    [...to.attributes].forEach(({name, value}) => {
+        if (name !== "class" && from.getAttribute(name) !== value) {
+            from.setAttribute(name, value);
+        }
+    });
+
+    syncClass(from, to);
+
+    // attribute와 별개로 유지되는 form 상태 (입력 중인 요소의 value는 유지)
+    if (FORM_TAGS.includes(to.nodeName)) {
+        if (from.value !== to.value && from !== document.activeElement) {
+            from.value = to.value;
+        }
+        if (from.checked !== to.checked) {
+            from.checked = to.checked;
+        }
+    }
+}
+
+/**
+ * `_ui*` expando와 추적 리스너를 동기화한다.
+ *
+ * @private
+ */
+function syncExpandos(from, to) {
+    Object.keys(from).forEach(key => {
+        if (key.startsWith("_ui") && key !== LISTENERS_KEY && !(key in to)) {
+            delete from[key];
+        }
+    });
+
+    Object.keys(to).forEach(key => {
+        if (key.startsWith("_ui") && key !== LISTENERS_KEY) {
+            from[key] = to[key];
+        }
+    });
+
+    const prev = from[LISTENERS_KEY] || [];
+    const next = to[LISTENERS_KEY] || [];
+    if (!prev.length && !next.length) {
+        return;
+    }
+
+    prev.forEach(({type, listener, options}) => from.removeEventListener(type, listener, options));
+    next.forEach(({type, listener, options}) => from.addEventListener(type, listener, options));
+    from[LISTENERS_KEY] = [...next];
+}
+
+/**
+ * live 노드를 새 노드와 같아지도록 수정한다.
+ *
+ * 같은 종류가 아니면 새 노드로 교체한다.
+ *
+ * @param {Node} from live DOM 노드
+ * @param {Node} to 새로 생성한 노드
+ * @returns {Node} 수정된 live 노드 또는 교체된 새 노드
+ */
+export function patchNode(from, to) {
+    if (isSameIcon(from, to)) {
+        return from;
+    }
+
+    if (!isSameType(from, to)) {
+        from.replaceWith(to);
+        return to;
+    }
+
+    if (from.nodeType === 3 || from.nodeType === 8) {
+        if (from.nodeValue !== to.nodeValue) {
+            from.nodeValue = to.nodeValue;
+        }
+        return from;
+    }
+
+    syncAttributes(from, to);
+    syncExpandos(from, to);
+
+    if (!to._uiSkipChildren) {
+        patchChildren(from, [...to.childNodes]);
+    }
+
+    return from;
+}
+
+/**
+ * 부모 요소의 자식 노드를 새 노드 목록과 같아지도록 수정한다.
+ *
+ * @param {HTMLElement} parent live 부모 요소
+ * @param {Node|Node[]|DocumentFragment} nextChildren 새 자식 노드
+ *
+ * @example
+ * const ul = utils.h("ul", null, items.map(item => utils.h("li", {dataset: {key: item.id}}, item.name)));
+ * patchChildren(bodyEl, [ul]);
+ */
+export function patchChildren(parent, nextChildren) {
+    // 대기 중인 비동기 custom 렌더링 결과가 새 내용을 덮어쓰지 않도록 취소한다. (utils.renderCustom)
+    if (parent._uiCustomRender) {
+        parent._uiCustomRender = null;
+    }
+
+    // DocumentFragment (DOM 없는 서버 렌더링에서도 동작하도록 nodeType으로 판별)
+    const next = nextChildren?.nodeType === 11
+        ? [...nextChildren.childNodes]
+        : [].concat(nextChildren ?? []);
+
+    const keyed = new Map();
+    const unkeyed = [];
+    [...parent.childNodes].forEach(child => {
+        const key = getKey(child);
+        if (key !== null && !keyed.has(key)) {
+            keyed.set(key, child);
+        } else {
+            unkeyed.push(child);
+        }
+    });
+
+    let unkeyedIndex = 0;
+    next.forEach((to, index) => {
+        const key = getKey(to);
+        let from = null;
+
+        if (key !== null) {
+            from = keyed.get(key) || null;
+            keyed.delete(key);
+        } else if (unkeyedIndex < unkeyed.length && isMatchable(unkeyed[unkeyedIndex], to)) {
+            from = unkeyed[unkeyedIndex++];
+        }
+
+        const node = from ? patchNode(from, to) : to;
+        const ref = parent.childNodes[index] || null;
+        if (node !== ref) {
+            parent.insertBefore(node, ref);
+        }
+    });
+
+    while (parent.childNodes.length > next.length) {
+        parent.lastChild.remove();
+    }
+}
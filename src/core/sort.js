@@ -0,0 +1,174 @@
+import * as utils from "../utils/utils.js";
+import {getLocale, t} from "./i18n.js";
+
+/**
+ * 목록 정렬
+ *
+ * 정렬 상태는 `{field, direction}` 배열로 표현하며, 앞의 key부터 비교하는 다중 key 정렬이다.
+ * 모든 key가 같은 항목은 원래 순서를 유지한다. (stable)
+ *
+ * - 기본 비교: 숫자는 크기, 그 외는 현재 locale 기준 문자열(숫자 포함 문자열은 자연 정렬)로 비교한다.
+ * - 값이 없는(null, undefined, "") 항목은 정렬 방향과 관계없이 마지막에 둔다.
+ * - field별 `compare(a, b, itemA, itemB)`로 비교 방식을 바꿀 수 있다. (오름차순 기준 결과를 반환)
+ */
+
+/**
+ * @typedef {Object} SortKey
+ * @property {string} field 정렬 field 이름
+ * @property {"asc"|"desc"} direction 정렬 방향
+ */
+
+/**
+ * @typedef {Object} SortField
+ * @property {string} field field 이름
+ * @property {string} [label] 정렬 선택 목록에 표시할 이름 (기본값 field)
+ * @property {function(*, *, Object, Object): number} [compare] 값 비교 함수 (오름차순 기준)
+ */
+
+/**
+ * 정렬 field 정의 목록을 정규화한다.
+ *
+ * @param {Array<string|SortField>} [fields=[]] field 이름 또는 정의
+ * @returns {SortField[]}
+ *
+ * @example
+ * normalizeSortFields(["title", {field: "status", label: "상태"}]);
+ */
+export function normalizeSortFields(fields = []) {
+    return fields.map(def => typeof def === "string" ? {field: def} : def);
+}
+
+/**
+ * 정렬 상태를 정규화한다.
+ *
+ * field 이름만 지정하면 오름차순이며, fields가 있으면 정의되지 않은 field와 중복 field는 제외한다.
+ *
+ * @param {string|SortKey|Array<string|SortKey>|null} sort 정렬 상태
+ * @param {SortField[]} [fields=[]] 정렬 가능한 field 정의 (비어 있으면 모든 field 허용)
+ * @returns {SortKey[]}
+ */
+export function normalizeSort(sort, fields = []) {
+    const seen = new Set();
+    return [].concat(sort ?? [])
+        .map(key => typeof key === "string" ? {field: key} : key)
+        .filter(key => {
+            if (!key?.field || seen.has(key.field)) {
+                return false;
+            }
+            seen.add(key.field);
+            return !fields.length || fields.some(def => def.field === key.field);
+        })
+        .map(({field, direction}) => ({field, direction: direction === "desc" ? "desc" : "asc"}));
+}
+
+/**
+ * 값이 비어 있는지 여부 (정렬 시 항상 마지막)
+ *
+ * @private
+ */
+function isBlank(value) {
+    return value === null || value === undefined || value === "";
+}
+
+/**
+ * 기본 값 비교 함수
+ *
+ * @private
+ */
+function compareValues(a, b, collator) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a - b;
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() - b.getTime();
+    }
+    return collator.compare(String(a), String(b));
+}
+
+/**
+ * 항목을 다중 key로 정렬한 새 배열을 반환한다. (원본 배열은 변경하지 않음)
+ *
+ * @param {Object[]} items 정렬할 항목
+ * @param {SortKey[]} sort 정렬 상태
+ * @param {SortField[]} [fields=[]] field별 compare 정의
+ * @returns {Object[]}
+ *
+ * @example
+ * sortItems(servers, [{field: "status", direction: "desc"}, {field: "title", direction: "asc"}]);
+ */
+export function sortItems(items, sort, fields = []) {
+    if (!sort.length) {
+        return items.slice();
+    }
+
+    const collator = new Intl.Collator(getLocale(), {numeric: true, sensitivity: "base"});
+    const keys = sort.map(({field, direction}) => ({
+        field,
+        sign: direction === "desc" ? -1 : 1,
+        compare: fields.find(def => def.field === field)?.compare,
+    }));
+
+    // 같은 값이면 원래 index로 비교하여 안정 정렬을 보장한다.
+    return items
+        .map((item, index) => ({item, index}))
+        .sort((a, b) => {
+            for (const {field, sign, compare} of keys) {
+                const valueA = a.item?.[field];
+                const valueB = b.item?.[field];
+                if (isBlank(valueA) || isBlank(valueB)) {
+                    if (isBlank(valueA) !== isBlank(valueB)) {
+                        return isBlank(valueA) ? 1 : -1;
+                    }
+                    continue;
+                }
+
+                const result = compare ? compare(valueA, valueB, a.item, b.item) : compareValues(valueA, valueB, collator);
+                if (result) {
+                    return result * sign;
+                }
+            }
+            return a.index - b.index;
+        })
+        .map(({item}) => item);
+}
+
+/**
+ * 정렬 선택 컨트롤(field 선택 + 방향 전환 버튼)을 생성한다.
+ *
+ * field를 선택하면 첫 번째 정렬 key가 되고, 기존 key는 같은 값일 때의 보조 key로 유지된다.
+ *
+ * @param {SortKey[]} sort 현재 정렬 상태
+ * @param {SortField[]} fields 선택할 수 있는 field
+ * @param {Object} options
+ * @param {function(SortKey[]): void} options.onChange 정렬 상태 변경 시 새 상태와 함께 호출
+ * @returns {HTMLElement}
+ */
+export function renderSortControl(sort, fields, {onChange}) {
+    const [primary] = sort;
+    const direction = primary?.direction ?? "asc";
+    const directionText = t(`sort.${direction}`);
+
+    const onFieldChange = (e) => {
+        const field = e.currentTarget.value;
+        const rest = sort.filter(key => key.field !== field);
+        onChange(field ? [{field, direction}, ...rest] : []);
+    };
+    const onDirectionClick = () => {
+        onChange([{...primary, direction: direction === "asc" ? "desc" : "asc"}, ...sort.slice(1)]);
+    };
+
+    return utils.h("div", {class: ["sort"], dataset: {key: "sort"}},
+        utils.h("select", {class: ["sort-field"], "aria-label": t("sort.label"), onChange: onFieldChange},
+            utils.h("option", {value: "", selected: !primary}, t("sort.none")),
+            fields.map(({field, label}) => utils.h("option", {value: field, selected: primary?.field === field}, label ?? field))
+        ),
+        utils.h("button", {
+            class: ["sort-direction", `sort-${direction}`],
+            type: "button",
+            title: directionText,
+            "aria-label": directionText,
+            disabled: !primary,
+            onClick: onDirectionClick,
+        }, utils.h("span", {"aria-hidden": "true"}, direction === "asc" ? "▲" : "▼"))
+    );
+}
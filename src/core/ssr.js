@@ -0,0 +1,596 @@
+import ListView from "../components/list/ListView.js";
+import MetricCard from "../components/card/MetricCard/MetricCard.js";
+import Node from "../components/node/Node.js";
+import NodeGroup from "../components/nodeGroup/NodeGroup.js";
+import {createLucideEngine} from "../plugins/lucide/lucideEngine.js";
+
+/**
+ * 서버 렌더링 (HTML 문자열 생성)
+ *
+ * DOM이 없는 환경(Node.js)에서도 컴포넌트를 HTML 문자열로 렌더링한다.
+ * 컴포넌트의 렌더링 코드(renderStatic)를 그대로 사용하므로 class 이름과 구조가 클라이언트 렌더링과 같다.
+ *
+ * - DOM이 없으면 렌더링하는 동안만 최소 기능의 서버 document를 전역 `document`로 사용한다.
+ * - 브라우저에서 호출하면 실제 document로 분리된(detached) 요소를 만들어 렌더링한다.
+ * - 결과 요소에는 `data-ui-ssr` 속성이 붙으며, 클라이언트에서는 `UI.hydrate` 또는
+ *   `UI.mountAll`로 마크업을 재사용해 초기화한다.
+ *
+ * ⚠ 이벤트, afterDraw, dataSource, 아이콘 변환(svg)은 hydrate 시점에 클라이언트에서 처리된다.
+ *
+ * @example
+ * // Node.js
+ * import {renderToString} from "./src/core/ssr.js";
+ * const html = renderToString("listView", {id: "serverList", title: {value: "서버 상태"}, data});
+ *
+ * // 브라우저
+ * UI.hydrate("listView", {id: "serverList", title: {value: "서버 상태"}, data});
+ */
+
+/**
+ * 서버 렌더링 가능한 내장 컴포넌트 (소문자 이름 → [등록 이름, 클래스])
+ *
+ * @private
+ */
+const COMPONENTS = new Map([
+    ["listview", ["listView", ListView]],
+    ["metriccard", ["metricCard", MetricCard]],
+    ["node", ["node", Node]],
+    ["nodegroup", ["nodeGroup", NodeGroup]],
+]);
+
+/**
+ * 닫는 태그가 없는 요소
+ *
+ * @private
+ */
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function escapeText(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttr(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+/**
+ * 서버 document의 노드 공통 기능
+ *
+ * @private
+ */
+class ServerNode {
+    constructor(nodeType, nodeName) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get nextSibling() {
+        const siblings = this.parentNode?.childNodes || [];
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get parentElement() {
+        return this.parentNode?.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join("");
+    }
+
+    set textContent(value) {
+        [...this.childNodes].forEach(child => child.remove());
+        if (value !== null && value !== undefined && value !== "") {
+            this.appendChild(new ServerText(value));
+        }
+    }
+
+    hasChildNodes() {
+        return this.childNodes.length > 0;
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === "string" ? new ServerText(node) : node));
+    }
+
+    prepend(...nodes) {
+        const ref = this.firstChild;
+        nodes.forEach(node => this.insertBefore(typeof node === "string" ? new ServerText(node) : node, ref));
+    }
+
+    insertBefore(child, ref) {
+        if (child.nodeType === 11) {
+            [...child.childNodes].forEach(node => this.insertBefore(node, ref));
+            return child;
+        }
+
+        child.remove();
+        const index = ref ? this.childNodes.indexOf(ref) : -1;
+        if (index < 0) {
+            this.childNodes.push(child);
+        } else {
+            this.childNodes.splice(index, 0, child);
+        }
+        child.parentNode = this;
+        return child;
+    }
+
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index >= 0) {
+            this.childNodes.splice(index, 1);
+            child.parentNode = null;
+        }
+        return child;
+    }
+
+    remove() {
+        this.parentNode?.removeChild(this);
+    }
+
+    replaceWith(node) {
+        if (this.parentNode) {
+            this.parentNode.insertBefore(node, this);
+            this.remove();
+        }
+    }
+
+    toHTML() {
+        return this.childNodes.map(child => child.toHTML()).join("");
+    }
+}
+
+/**
+ * @private
+ */
+class ServerText extends ServerNode {
+    constructor(text) {
+        super(3, "#text");
+        this.nodeValue = String(text);
+    }
+
+    get textContent() {
+        return this.nodeValue;
+    }
+
+    set textContent(value) {
+        this.nodeValue = String(value ?? "");
+    }
+
+    toHTML() {
+        return escapeText(this.nodeValue);
+    }
+}
+
+/**
+ * innerHTML로 설정된 HTML (그대로 출력)
+ *
+ * @private
+ */
+class ServerRawHTML extends ServerNode {
+    constructor(html) {
+        super(3, "#text");
+        this.html = String(html);
+    }
+
+    get textContent() {
+        return this.html.replace(/<[^>]*>/g, "");
+    }
+
+    toHTML() {
+        return this.html;
+    }
+}
+
+/**
+ * @private
+ */
+class ServerFragment extends ServerNode {
+    constructor() {
+        super(11, "#document-fragment");
+    }
+}
+
+/**
+ * 간단한 selector 매칭 (tag, #id, .class, [attr], [attr="value"] 조합과 공백/`>` 결합자)
+ *
+ * @private
+ */
+function matchesCompound(el, compound) {
+    const tokens = compound.match(/[#.]?[\w-]+|\[[^\]]+]|\*/g) || [];
+    return tokens.every(token => {
+        if (token === "*") {
+            return true;
+        }
+        if (token.startsWith("#")) {
+            return el.id === token.slice(1);
+        }
+        if (token.startsWith(".")) {
+            return el.classList.contains(token.slice(1));
+        }
+        if (token.startsWith("[")) {
+            const [, name, value] = token.match(/^\[([\w-]+)(?:="?([^"\]]*)"?)?]$/) || [];
+            return value === undefined ? el.hasAttribute(name) : el.getAttribute(name) === value;
+        }
+        return el.localName === token.toLowerCase();
+    });
+}
+
+function matchesSelector(el, selector) {
+    return selector.split(",").some(part => {
+        const steps = part.trim().replace(/\s*>\s*/g, " > ").split(/\s+/);
+        const matchFrom = (node, index) => {
+            if (!node || node.nodeType !== 1 || !matchesCompound(node, steps[index])) {
+                return false;
+            }
+            if (index === 0) {
+                return true;
+            }
+            if (steps[index - 1] === ">") {
+                return matchFrom(node.parentNode, index - 2);
+            }
+            for (let ancestor = node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+                if (matchFrom(ancestor, index - 1)) {
+                    return true;
+                }
+            }
+            return false;
+        };
+        return matchFrom(el, steps.length - 1);
+    });
+}
+
+/**
+ * 서버 document의 요소
+ *
+ * 컴포넌트 렌더링에 필요한 DOM API만 구현한다.
+ *
+ * @private
+ */
+class ServerElement extends ServerNode {
+    constructor(tagName, namespaceURI = null) {
+        const isSvg = namespaceURI === SVG_NS;
+        super(1, isSvg ? tagName : tagName.toUpperCase());
+        this.tagName = this.nodeName;
+        this.localName = isSvg ? tagName : tagName.toLowerCase();
+        this.namespaceURI = namespaceURI;
+        this.attributeMap = new Map();
+
+        this.classList = {
+            contains: (name) => this.className.split(/\s+/).includes(name),
+            add: (...names) => {
+                const list = this.className.split(/\s+/).filter(Boolean);
+                names.forEach(name => !list.includes(name) && list.push(name));
+                this.className = list.join(" ");
+            },
+            remove: (...names) => {
+                this.className = this.className.split(/\s+/).filter(name => name && !names.includes(name)).join(" ");
+            },
+            toggle: (name, force = !this.classList.contains(name)) => {
+                force ? this.classList.add(name) : this.classList.remove(name);
+                return force;
+            },
+        };
+
+        this.dataset = new Proxy({}, {
+            get: (target, key) => this.getAttribute(toDataAttr(key)) ?? undefined,
+            set: (target, key, value) => {
+                this.setAttribute(toDataAttr(key), value);
+                return true;
+            },
+            deleteProperty: (target, key) => {
+                this.removeAttribute(toDataAttr(key));
+                return true;
+            },
+        });
+
+        this.style = new Proxy({}, {
+            get: (target, key) => {
+                if (key === "setProperty") {
+                    return (name, value) => this.setStyle(name, value);
+                }
+                if (key === "removeProperty") {
+                    return (name) => this.setStyle(name, "");
+                }
+                return this.getStyles().get(toCssProperty(key)) ?? "";
+            },
+            set: (target, key, value) => {
+                this.setStyle(toCssProperty(key), value);
+                return true;
+            },
+        });
+    }
+
+    get attributes() {
+        return [...this.attributeMap].map(([name, value]) => ({name, value}));
+    }
+
+    getAttribute(name) {
+        return this.attributeMap.has(name) ? this.attributeMap.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributeMap.set(name, String(value));
+    }
+
+    removeAttribute(name) {
+        this.attributeMap.delete(name);
+    }
+
+    hasAttribute(name) {
+        return this.attributeMap.has(name);
+    }
+
+    get id() {
+        return this.getAttribute("id") || "";
+    }
+
+    set id(value) {
+        this.setAttribute("id", value);
+    }
+
+    get className() {
+        return this.getAttribute("class") || "";
+    }
+
+    set className(value) {
+        this.setAttribute("class", value);
+    }
+
+    get href() {
+        return this.getAttribute("href") || "";
+    }
+
+    set href(value) {
+        this.setAttribute("href", value);
+    }
+
+    get title() {
+        return this.getAttribute("title") || "";
+    }
+
+    set title(value) {
+        this.setAttribute("title", value);
+    }
+
+    get disabled() {
+        return this.hasAttribute("disabled");
+    }
+
+    set disabled(value) {
+        value ? this.setAttribute("disabled", "") : this.removeAttribute("disabled");
+    }
+
+    get hidden() {
+        return this.hasAttribute("hidden");
+    }
+
+    set hidden(value) {
+        value ? this.setAttribute("hidden", "") : this.removeAttribute("hidden");
+    }
+
+    get children() {
+        return this.childNodes.filter(child => child.nodeType === 1);
+    }
+
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+
+    get innerHTML() {
+        return super.toHTML();
+    }
+
+    set innerHTML(html) {
+        this.textContent = "";
+        if (html) {
+            this.appendChild(new ServerRawHTML(html));
+        }
+    }
+
+    get outerHTML() {
+        return this.toHTML();
+    }
+
+    getStyles() {
+        const styles = new Map();
+        (this.getAttribute("style") || "").split(";").forEach(declaration => {
+            const [name, ...value] = declaration.split(":");
+            if (name.trim()) {
+                styles.set(name.trim(), value.join(":").trim());
+            }
+        });
+        return styles;
+    }
+
+    setStyle(name, value) {
+        const styles = this.getStyles();
+        value === "" || value === null || value === undefined ? styles.delete(name) : styles.set(name, String(value));
+        const text = [...styles].map(([key, val]) => `${key}: ${val}`).join("; ");
+        text ? this.setAttribute("style", text) : this.removeAttribute("style");
+    }
+
+    // 서버 렌더링에서는 이벤트를 연결하지 않는다. (hydrate 시 클라이언트에서 연결)
+    addEventListener() {}
+
+    removeEventListener() {}
+
+    dispatchEvent() {
+        return true;
+    }
+
+    matches(selector) {
+        return matchesSelector(this, selector);
+    }
+
+    closest(selector) {
+        for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+            if (node.matches(selector)) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const result = [];
+        const scoped = selector.replace(/:scope\s*>/g, `[data-ssr-scope] >`);
+        const walk = (node) => node.children.forEach(child => {
+            if (child.matches(scoped)) {
+                result.push(child);
+            }
+            walk(child);
+        });
+
+        const isScoped = scoped !== selector;
+        if (isScoped) {
+            this.setAttribute("data-ssr-scope", "");
+        }
+        walk(this);
+        if (isScoped) {
+            this.removeAttribute("data-ssr-scope");
+        }
+        return result;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    toHTML() {
+        const attrs = this.attributes
+            .map(({name, value}) => (value === "" ? ` ${name}` : ` ${name}="${escapeAttr(value)}"`))
+            .join("");
+        const open = `<${this.localName}${attrs}>`;
+
+        if (VOID_TAGS.has(this.localName)) {
+            return open;
+        }
+        return `${open}${super.toHTML()}</${this.localName}>`;
+    }
+}
+
+function toDataAttr(key) {
+    return "data-" + String(key).replace(/[A-Z]/g, char => "-" + char.toLowerCase());
+}
+
+function toCssProperty(key) {
+    return String(key).startsWith("--") ? key : String(key).replace(/[A-Z]/g, char => "-" + char.toLowerCase());
+}
+
+/**
+ * DOM 없는 환경에서 사용할 최소 기능의 document를 생성한다.
+ *
+ * @returns {Object} document 호환 객체
+ */
+export function createServerDocument() {
+    const documentElement = new ServerElement("html");
+    const head = new ServerElement("head");
+    const body = new ServerElement("body");
+    documentElement.append(head, body);
+
+    return {
+        nodeType: 9,
+        documentElement,
+        head,
+        body,
+        activeElement: null,
+        createElement: (tagName) => new ServerElement(tagName),
+        createElementNS: (namespaceURI, tagName) => new ServerElement(tagName, namespaceURI),
+        createTextNode: (text) => new ServerText(text),
+        createDocumentFragment: () => new ServerFragment(),
+        getElementById: (id) => body.querySelector(`#${id}`),
+    };
+}
+
+/**
+ * 실제 DOM이 없으면 서버 document를 전역 document로 설정한 상태에서 fn을 실행한다.
+ *
+ * @private
+ */
+function withDocument(fn) {
+    if (typeof document !== "undefined") {
+        return fn(document);
+    }
+
+    const serverDocument = createServerDocument();
+    globalThis.document = serverDocument;
+    try {
+        return fn(serverDocument);
+    } finally {
+        delete globalThis.document;
+    }
+}
+
+/**
+ * 컴포넌트를 HTML 문자열로 렌더링한다.
+ *
+ * 결과는 `<div id="{id}" data-ui-ssr>...</div>` 형태의 host 요소 HTML이다.
+ *
+ * @param {string} type 컴포넌트 이름 (`listView`, `metricCard`, `node`, `nodeGroup`, 대소문자 구분 없음)
+ * @param {Object} [params={}] `UI.init`과 같은 파라미터 (`id`, `title`, `schema`, `options`, `data` 등)
+ * @param {Object} [renderOptions={}]
+ * @param {Object.<string, string>} [renderOptions.attrs] host 요소에 추가할 속성 (예: `{class: "panel"}`)
+ * @param {boolean} [renderOptions.mount=false] true면 `data-ui`, `data-ui-config`, `data-ui-data` 속성을 함께 출력하여
+ * 클라이언트에서 `UI.mountAll()`만으로 hydrate 되도록 한다. (JSON으로 직렬화되지 않는 함수형 옵션은 제외된다)
+ * @returns {string} HTML 문자열
+ *
+ * @example
+ * renderToString("metricCard", {id: "cpu", title: {value: "CPU"}, data: {value: 42, unit: "%"}}, {attrs: {class: "card"}});
+ */
+export function renderToString(type, params = {}, {attrs = {}, mount = false} = {}) {
+    const entry = COMPONENTS.get(String(type).toLowerCase());
+    if (!entry) {
+        throw new Error(`Unknown component type "${type}"`);
+    }
+
+    const [name, ComponentClass] = entry;
+    const {data, iconEngine = createLucideEngine(), ...config} = params;
+
+    return withDocument(doc => {
+        const host = doc.createElement("div");
+        if (config.id) {
+            host.id = config.id;
+        }
+        Object.entries(attrs).forEach(([key, value]) => host.setAttribute(key, value));
+        host.setAttribute("data-ui-ssr", "");
+
+        if (mount) {
+            const {id, ...mountConfig} = config;
+            host.setAttribute("data-ui", name);
+            host.setAttribute("data-ui-config", JSON.stringify(mountConfig));
+            if (data !== undefined) {
+                host.setAttribute("data-ui-data", JSON.stringify(data));
+            }
+        }
+
+        const instance = new ComponentClass({...config, el: host, iconEngine});
+        instance.renderStatic(data);
+
+        return host.outerHTML;
+    });
+}
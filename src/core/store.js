@@ -0,0 +1,156 @@
+import {reportError} from "./errorBoundary.js";
+
+/**
+ * key 단위 상태를 보관하고 변경을 구독할 수 있는 공유 store
+ *
+ * - 같은 payload의 서로 다른 부분(slice)을 여러 컴포넌트가 나눠 표시할 때 사용한다.
+ * - set/update로 변경된 key는 animation frame 단위로 모아서(coalesce) 한 번만 통지한다.
+ * - 구독 시 selector를 지정하면 선택된 값이 바뀐 경우에만 통지한다. (Object.is 비교)
+ * - selector/listener에서 발생한 예외는 `store:{key}` phase로 UI.onError에 보고하고 다른 구독자 통지는 계속한다.
+ *
+ * @example
+ * const store = createStore();
+ * const off = store.subscribe("cluster", count => console.log(count), {
+ *   select: cluster => cluster.nodes.filter(n => n.running).length
+ * });
+ * store.set("cluster", payload);
+ * off();
+ */
+export function createStore(initialState = {}) {
+    const state = new Map(Object.entries(initialState));
+    const subscribers = new Map(); // key → Set<{listener, select, last}>
+    const dirty = new Set();
+    let frame = null;
+
+    const schedule = typeof requestAnimationFrame === "function"
+        ? (fn) => requestAnimationFrame(fn)
+        : (fn) => setTimeout(fn, 16);
+
+    /**
+     * 변경된 key의 구독자에게 통지한다.
+     */
+    function flush() {
+        frame = null;
+        const keys = [...dirty];
+        dirty.clear();
+
+        keys.forEach(key => {
+            const subs = subscribers.get(key);
+            if (!subs) {
+                return;
+            }
+
+            const value = state.get(key);
+            [...subs].forEach(sub => {
+                // 통지 도중 구독 해제된 경우
+                if (!subs.has(sub)) {
+                    return;
+                }
+
+                let selected;
+                try {
+                    selected = sub.select(value);
+                } catch (e) {
+                    reportError(null, `store:${key}`, e);
+                    return;
+                }
+
+                if (Object.is(selected, sub.last)) {
+                    return;
+                }
+                sub.last = selected;
+
+                try {
+                    sub.listener(selected, value);
+                } catch (e) {
+                    reportError(null, `store:${key}`, e);
+                }
+            });
+        });
+    }
+
+    function markDirty(key) {
+        dirty.add(key);
+        if (frame === null) {
+            frame = schedule(flush);
+        }
+    }
+
+    return {
+        /**
+         * key의 현재 값을 반환한다.
+         *
+         * @param {string} key
+         * @returns {*}
+         */
+        get(key) {
+            return state.get(key);
+        },
+
+        /**
+         * key에 값이 있는지 확인한다.
+         *
+         * @param {string} key
+         * @returns {boolean}
+         */
+        has(key) {
+            return state.has(key);
+        },
+
+        /**
+         * key의 값을 교체한다.
+         *
+         * @param {string} key
+         * @param {*} value
+         */
+        set(key, value) {
+            state.set(key, value);
+            markDirty(key);
+        },
+
+        /**
+         * 현재 값을 받아 새 값을 반환하는 함수로 key의 값을 갱신한다.
+         *
+         * ⚠ 같은 객체를 직접 수정한 뒤 반환하면 selector 없이 구독한 경우
+         * Object.is 비교로 변경이 감지되지 않는다. 새 객체를 반환해야 한다.
+         *
+         * @param {string} key
+         * @param {function(*): *} updater
+         */
+        update(key, updater) {
+            this.set(key, updater(state.get(key)));
+        },
+
+        /**
+         * key의 변경을 구독한다.
+         *
+         * 구독 시점의 값으로는 listener를 호출하지 않는다.
+         *
+         * @param {string} key
+         * @param {function(*, *): void} listener `(selected, value) => void`
+         * @param {Object} [options]
+         * @param {function(*): *} [options.select] 값에서 필요한 부분을 고르는 selector
+         * @returns {function(): void} 구독 해제 함수
+         */
+        subscribe(key, listener, {select = (value) => value} = {}) {
+            const sub = {listener, select, last: undefined};
+
+            if (state.has(key)) {
+                try {
+                    sub.last = select(state.get(key));
+                } catch (e) {
+                    sub.last = undefined;
+                }
+            }
+
+            if (!subscribers.has(key)) {
+                subscribers.set(key, new Set());
+            }
+            subscribers.get(key).add(sub);
+
+            return () => {
+                subscribers.get(key)?.delete(sub);
+            };
+        },
+    };
+}
@@ -0,0 +1,272 @@
+import * as utils from "../utils/utils.js";
+import {t} from "./i18n.js";
+import {reportError} from "./errorBoundary.js";
+
+/**
+ * @typedef {"connecting"|"open"|"reconnecting"|"closed"} StreamState
+ */
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {string} url WebSocket(ws://, wss://) 또는 EventSource(http://, https://) URL
+ * @property {"websocket"|"sse"} [type] 연결 방식 (생략 시 URL scheme으로 판단)
+ * @property {string|string[]} [protocols] WebSocket sub protocol
+ * @property {string[]} [events=["message"]] SSE에서 수신할 event 이름 목록
+ * @property {Object.<string, *>} routes 메시지 key별 대상 컴포넌트 (id, wrapper 또는 그 배열)
+ * @property {Function} [route] 수신 메시지를 `{key, data}`로 변환하는 함수.
+ * 기본값은 JSON을 파싱하여 `{key, data}` 필드를 그대로 사용한다.
+ * @property {Function} [transform] 대상에 전달하기 전 data 변환 함수 `(data, key) => data`
+ * @property {Object} [reconnect] 재연결 설정
+ * @property {number} [reconnect.initialDelay=1000] 첫 재연결 대기(ms)
+ * @property {number} [reconnect.maxDelay=30000] 최대 재연결 대기(ms)
+ * @property {number} [reconnect.factor=2] 재연결 대기 증가 배수
+ * @property {number} [reconnect.maxRetries=Infinity] 최대 재연결 횟수
+ * @property {Function} [onStateChange] 연결 상태 변경 콜백 `(state) => void`
+ * @property {Function} [onError] 메시지 처리 오류 콜백 `(error, rawMessage) => void` (없으면 `stream` phase로 UI.onError에 보고)
+ */
+
+/**
+ * 기본 메시지 라우팅 함수
+ *
+ * `{"key": "...", "data": ...}` 형식의 JSON 메시지를 가정한다.
+ *
+ * @private
+ * @param {string} raw
+ * @returns {{key: string, data: *}}
+ */
+function defaultRoute(raw) {
+    const message = JSON.parse(raw);
+    return {key: message.key, data: message.data};
+}
+
+/**
+ * WebSocket 또는 Server-Sent Events 채널을 컴포넌트에 연결한다.
+ *
+ * - 수신 메시지를 key로 라우팅하여 대상 컴포넌트의 setData를 호출한다.
+ * - 연결이 끊기면 backoff 간격으로 재연결한다.
+ * - 연결 상태가 바뀔 때마다 대상 컴포넌트의 `setConnectionState(state)`를 호출한다.
+ *
+ * @param {StreamOptions & {resolve: Function}} options
+ * `resolve`는 routes 값(id 또는 wrapper)을 wrapper 객체로 변환하는 함수
+ * @returns {{close: Function, send: Function, getState: Function}}
+ */
+export function createStream({
+                                 url,
+                                 type,
+                                 protocols,
+                                 events = ["message"],
+                                 routes = {},
+                                 route = defaultRoute,
+                                 transform,
+                                 reconnect = {},
+                                 onStateChange,
+                                 onError,
+                                 resolve = (target) => target,
+                             } = {}) {
+    if (!url) {
+        throw new TypeError("stream url is required.");
+    }
+
+    const kind = type || (/^wss?:/i.test(url) ? "websocket" : "sse");
+    if (kind !== "websocket" && kind !== "sse") {
+        throw new TypeError(`Unknown stream type "${type}"`);
+    }
+
+    const {
+        initialDelay = 1000,
+        maxDelay = 30000,
+        factor = 2,
+        maxRetries = Infinity,
+    } = reconnect;
+
+    let source = null;
+    let state = null;
+    let attempts = 0;
+    let timer = null;
+    let closed = false;
+
+    /**
+     * routes 값을 wrapper 배열로 변환한다.
+     * id로 지정된 대상은 메시지 시점마다 조회하므로 재초기화된 컴포넌트에도 전달된다.
+     */
+    function targetsOf(key) {
+        const value = routes[key];
+        if (value == null) {
+            return [];
+        }
+        return (Array.isArray(value) ? value : [value])
+            .map(resolve)
+            .filter(Boolean);
+    }
+
+    function allTargets() {
+        return Object.keys(routes).flatMap(targetsOf);
+    }
+
+    function setState(next) {
+        if (state === next) {
+            return;
+        }
+        state = next;
+
+        allTargets().forEach(target => {
+            if (typeof target.setConnectionState === "function") {
+                target.setConnectionState(state);
+            }
+        });
+
+        onStateChange?.(state);
+    }
+
+    function handleMessage(raw) {
+        try {
+            const routed = route(raw);
+            const messages = Array.isArray(routed) ? routed : [routed];
+
+            messages.forEach(({key, data}) => {
+                const value = typeof transform === "function" ? transform(data, key) : data;
+                targetsOf(key).forEach(target => target.setData(value));
+            });
+        } catch (e) {
+            if (onError) {
+                onError(e, raw);
+            } else {
+                reportError(null, "stream", e);
+            }
+        }
+    }
+
+    function scheduleReconnect() {
+        if (closed) {
+            return;
+        }
+
+        if (attempts >= maxRetries) {
+            setState("closed");
+            return;
+        }
+
+        const delay = Math.min(initialDelay * factor ** attempts, maxDelay);
+        attempts++;
+        setState("reconnecting");
+        timer = setTimeout(connect, delay);
+    }
+
+    function connect() {
+        timer = null;
+        if (closed) {
+            return;
+        }
+
+        if (state !== "reconnecting") {
+            setState("connecting");
+        }
+
+        if (kind === "websocket") {
+            const ws = new WebSocket(url, protocols);
+            ws.onopen = () => {
+                attempts = 0;
+                setState("open");
+            };
+            ws.onmessage = (e) => handleMessage(e.data);
+            ws.onclose = () => {
+                if (source === ws) {
+                    source = null;
+                    scheduleReconnect();
+                }
+            };
+            source = ws;
+        } else {
+            const es = new EventSource(url);
+            es.onopen = () => {
+                attempts = 0;
+                setState("open");
+            };
+            events.forEach(name => {
+                es.addEventListener(name, (e) => handleMessage(e.data));
+            });
+            // EventSource 자체 재연결 대신 동일한 backoff 정책을 적용
+            es.onerror = () => {
+                if (source === es) {
+                    es.close();
+                    source = null;
+                    scheduleReconnect();
+                }
+            };
+            source = es;
+        }
+    }
+
+    connect();
+
+    return {
+        /**
+         * 연결을 종료하고 재연결을 중지한다.
+         */
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            timer = null;
+
+            const current = source;
+            source = null;
+            current?.close();
+
+            setState("closed");
+        },
+
+        /**
+         * WebSocket으로 메시지를 보낸다. 객체는 JSON 문자열로 변환된다.
+         *
+         * @param {*} message
+         * @returns {boolean} 전송 여부 (연결되지 않았거나 SSE면 false)
+         */
+        send(message) {
+            if (kind !== "websocket" || !source || source.readyState !== WebSocket.OPEN) {
+                return false;
+            }
+            source.send(typeof message === "string" ? message : JSON.stringify(message));
+            return true;
+        },
+
+        /**
+         * 현재 연결 상태를 반환한다.
+         *
+         * @returns {StreamState}
+         */
+        getState() {
+            return state;
+        },
+    };
+}
+
+/**
+ * 컴포넌트 header에 연결 상태 표시를 렌더링한다.
+ *
+ * 기존 표시는 제거되며, state가 없으면 표시하지 않는다.
+ *
+ * @param {HTMLElement} containerEl 표시를 추가할 요소 (보통 headerEl)
+ * @param {StreamState|null} state 연결 상태
+ */
+export function renderConnectionState(containerEl, state) {
+    if (!containerEl) {
+        return;
+    }
+
+    const selector = utils.makeSelectorClassName(["connection-state"]);
+    containerEl.querySelectorAll(selector).forEach(el => el.remove());
+
+    if (!state) {
+        return;
+    }
+
+    // 상태 문구는 i18n 카탈로그의 "connection.{state}" 메시지를 사용한다.
+    const text = t(`connection.${state}`);
+    const indicator = utils.h("span", {
+        class: [["connection-state"], [state]],
+        title: text,
+        "aria-label": t("aria.connection", {state: text}),
+        role: "status",
+    });
+    containerEl.appendChild(indicator);
+}
@@ -0,0 +1,177 @@
+import * as utils from "../utils/utils.js";
+
+/**
+ * 런타임 테마 관리
+ *
+ * 색상은 uiCommon.css에 CSS 변수(design token)로 정의되어 있고,
+ * 테마는 대상 요소의 `data-dh-theme` 속성과 inline CSS 변수로 적용된다.
+ *
+ * - 내장 테마: `light`, `dark` (uiCommon.css)
+ * - 사용자 테마: {@link defineTheme}으로 내장 테마를 기반으로 token 일부를 덮어쓴다.
+ * - `system`: `prefers-color-scheme`을 따라 light/dark를 자동 전환한다.
+ */
+
+/**
+ * CSS에 정의된 내장 테마
+ *
+ * @private
+ */
+const BUILT_IN_THEMES = ["light", "dark"];
+
+/**
+ * 사용자 정의 테마
+ *
+ * @private
+ * @type {Map<string, {base: string, tokens: Object.<string, string>}>}
+ */
+const CUSTOM_THEMES = new Map();
+
+/**
+ * 대상 요소별 적용 상태 (cleanup 용)
+ *
+ * @private
+ * @type {WeakMap<HTMLElement, {name: string, properties: string[], media: MediaQueryList|null, listener: Function|null}>}
+ */
+const APPLIED = new WeakMap();
+
+/**
+ * token 이름을 CSS 변수 이름으로 변환한다.
+ *
+ * @private
+ * @example
+ * toProperty("color-bg") → "--dh-color-bg"
+ * toProperty("--dh-color-bg") → "--dh-color-bg"
+ */
+function toProperty(token) {
+    return token.startsWith("--") ? token : `--${utils.RULES.classPrefix}-${token}`;
+}
+
+/**
+ * 이전에 적용한 inline 변수와 media listener를 제거한다.
+ *
+ * @private
+ * @param {HTMLElement} target
+ */
+function cleanup(target) {
+    const applied = APPLIED.get(target);
+    if (!applied) {
+        return;
+    }
+
+    applied.properties.forEach(property => target.style.removeProperty(property));
+    applied.media?.removeEventListener("change", applied.listener);
+    APPLIED.delete(target);
+}
+
+/**
+ * token을 대상 요소에 inline CSS 변수로 설정한다.
+ *
+ * @private
+ * @returns {string[]} 설정한 CSS 변수 이름 목록
+ */
+function applyTokens(target, tokens) {
+    return Object.entries(tokens).map(([token, value]) => {
+        const property = toProperty(token);
+        target.style.setProperty(property, value);
+        return property;
+    });
+}
+
+/**
+ * 이름으로 지정된 테마를 적용한다.
+ *
+ * @private
+ * @returns {string[]} 설정한 CSS 변수 이름 목록
+ */
+function applyNamed(target, name) {
+    if (BUILT_IN_THEMES.includes(name)) {
+        target.dataset.dhTheme = name;
+        return [];
+    }
+
+    const custom = CUSTOM_THEMES.get(name);
+    if (!custom) {
+        throw new Error(`Unknown theme "${name}"`);
+    }
+
+    target.dataset.dhTheme = custom.base;
+    return applyTokens(target, custom.tokens);
+}
+
+/**
+ * 내장 테마를 기반으로 사용자 테마를 정의한다.
+ *
+ * @param {string} name 테마 이름
+ * @param {Object.<string, string>} tokens 덮어쓸 token (`"color-bg"` 또는 `"--dh-color-bg"` 형식)
+ * @param {Object} [options]
+ * @param {"light"|"dark"} [options.base="light"] 기반 테마
+ *
+ * @example
+ * defineTheme("corporate", {"metricCard-blue": "#003a70", "color-primary": "#003a70"});
+ */
+export function defineTheme(name, tokens = {}, {base = "light"} = {}) {
+    if (!name || BUILT_IN_THEMES.includes(name) || name === "system") {
+        throw new TypeError(`Invalid theme name "${name}"`);
+    }
+
+    if (!BUILT_IN_THEMES.includes(base)) {
+        throw new TypeError(`Theme base must be one of ${BUILT_IN_THEMES.join(", ")}`);
+    }
+
+    CUSTOM_THEMES.set(name, {base, tokens: {...tokens}});
+}
+
+/**
+ * 테마를 적용한다.
+ *
+ * - 문자열: 내장/사용자 테마 이름 또는 `"system"`
+ * - 객체: 현재 테마 위에 token 일부만 덮어쓴다.
+ *
+ * @param {string|Object.<string, string>} theme 테마 이름 또는 token 객체
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.target=document.documentElement] 테마를 적용할 요소 (컨테이너 범위 지정)
+ * @param {string} [options.light="light"] `"system"`일 때 라이트 모드에서 사용할 테마
+ * @param {string} [options.dark="dark"] `"system"`일 때 다크 모드에서 사용할 테마
+ */
+export function setTheme(theme, {target = document.documentElement, light = "light", dark = "dark"} = {}) {
+    if (!target) {
+        throw new Error("Theme target element is required.");
+    }
+
+    // token 객체: 기존 테마는 유지하고 inline 변수만 추가
+    if (theme && typeof theme === "object") {
+        const applied = APPLIED.get(target) || {name: null, properties: [], media: null, listener: null};
+        applied.properties = [...new Set([...applied.properties, ...applyTokens(target, theme)])];
+        APPLIED.set(target, applied);
+        return;
+    }
+
+    cleanup(target);
+
+    if (theme === "system") {
+        const media = window.matchMedia("(prefers-color-scheme: dark)");
+        const state = {name: "system", properties: [], media, listener: null};
+
+        state.listener = () => {
+            state.properties.forEach(property => target.style.removeProperty(property));
+            state.properties = applyNamed(target, media.matches ? dark : light);
+        };
+        state.listener();
+
+        media.addEventListener("change", state.listener);
+        APPLIED.set(target, state);
+        return;
+    }
+
+    APPLIED.set(target, {name: theme, properties: applyNamed(target, theme), media: null, listener: null});
+}
+
+/**
+ * 대상 요소에 적용된 테마 이름을 반환한다.
+ *
+ * @param {HTMLElement} [target=document.documentElement]
+ * @returns {string|null} 테마 이름 (`"system"` 포함), token 객체만 적용된 경우 null
+ */
+export function getTheme(target = document.documentElement) {
+    return APPLIED.get(target)?.name ?? target.dataset.dhTheme ?? null;
+}
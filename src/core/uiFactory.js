@@ -1,12 +1,25 @@
 import * as utils from "../utils/utils.js";
-import {ListView, MetricCard, Node, NodeGroup} from "../index.js";
+import ListView from "../components/list/ListView.js";
+import MetricCard from "../components/card/MetricCard/MetricCard.js";
+import Node from "../components/node/Node.js";
+import NodeGroup from "../components/nodeGroup/NodeGroup.js";
 import {createLucideEngine} from "../plugins/lucide/lucideEngine.js";
+import {renderDashboard} from "./dashboard.js";
+import {createStream} from "./stream.js";
+import {createStore} from "./store.js";
+import * as eventBus from "./eventBus.js";
+import * as errorBoundary from "./errorBoundary.js";
+import * as theme from "./theme.js";
+import * as i18n from "./i18n.js";
+import * as format from "./format.js";
+import * as markup from "./html.js";
+import {defineElement, defineElements} from "./elements.js";
 
 /**
  * UI Factory v1.1
  * - 클래스 기반 컴포넌트를 new 없이 DOM 선택자로 초기화
  * - JSP/브라우저 환경에서 사용 가능
- * TODO: v2.0이상 공용 DOM Builder 유틸, Fragment 랜더링 or Virtual DOM
+ * - 컴포넌트 렌더링은 keyed patch renderer(core/patch.js)로 변경된 DOM만 반영
  */
 if (!window.UI) {
     window.UI = {}; // window.UI에 객체 초기화
@@ -34,12 +47,669 @@ UI.setIconEngine = function (engine) {
     UI.iconEngine = engine;
 };
 
+/**
+ * 테마를 적용합니다.
+ *
+ * - `"light"`, `"dark"` : 내장 테마
+ * - `"system"` : `prefers-color-scheme`을 따라 자동 전환
+ * - {@link UI.defineTheme}으로 정의한 테마 이름
+ * - token 객체 : 현재 테마 위에 일부 token만 덮어쓰기
+ *
+ * `options.target`을 지정하면 해당 컨테이너 하위에만 적용됩니다.
+ *
+ * @param {string|Object.<string, string>} name 테마 이름 또는 token 객체
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.target=document.documentElement] 적용 범위 요소
+ * @param {string} [options.light="light"] system 모드의 라이트 테마
+ * @param {string} [options.dark="dark"] system 모드의 다크 테마
+ *
+ * @example
+ * UI.setTheme("dark");
+ * UI.setTheme("system");
+ * UI.setTheme("dark", {target: document.getElementById("sidePanel")});
+ * UI.setTheme({"color-primary": "#003a70", "metricCard-blue": "#003a70"});
+ */
+UI.setTheme = function (name, options = {}) {
+    theme.setTheme(name, options);
+}
+
+/**
+ * 내장 테마를 기반으로 사용자 테마를 정의합니다.
+ *
+ * @param {string} name 테마 이름
+ * @param {Object.<string, string>} tokens 덮어쓸 token (`"color-bg"` 형식, `--dh-` 생략)
+ * @param {Object} [options]
+ * @param {"light"|"dark"} [options.base="light"] 기반 테마
+ */
+UI.defineTheme = function (name, tokens, options = {}) {
+    theme.defineTheme(name, tokens, options);
+}
+
+/**
+ * 적용된 테마 이름을 반환합니다.
+ *
+ * @param {HTMLElement} [target=document.documentElement]
+ * @returns {string|null}
+ */
+UI.getTheme = function (target) {
+    return theme.getTheme(target);
+}
+
+/**
+ * 내장 문구의 locale을 변경합니다.
+ *
+ * 변경 즉시 마운트된 모든 컴포넌트를 redraw 하여 새 locale 문구로 다시 그립니다.
+ * 기본 제공 locale은 `ko`(기본값), `en`, `ja` 입니다.
+ *
+ * @param {string} locale locale 코드 (예: "en", "ja", "en-US")
+ *
+ * @example
+ * UI.setLocale("en");
+ */
+UI.setLocale = function (locale) {
+    i18n.setLocale(locale);
+}
+
+/**
+ * 현재 locale을 반환합니다.
+ *
+ * @returns {string}
+ */
+UI.getLocale = function () {
+    return i18n.getLocale();
+}
+
+/**
+ * locale에 메시지를 추가하거나 덮어씁니다.
+ *
+ * 현재 locale의 메시지가 바뀌어도 자동으로 redraw 하지 않으므로,
+ * 필요하면 setLocale 전에 호출합니다.
+ *
+ * @param {string} locale locale 코드
+ * @param {Object.<string, string>} messages key-메시지 객체 (`{name}` 형식 치환 지원)
+ *
+ * @example
+ * UI.addMessages("en", {"empty": "Nothing to show"});
+ * UI.addMessages("zh", {"empty": "无数据", "error": "处理时出错。"});
+ */
+UI.addMessages = function (locale, messages) {
+    i18n.addMessages(locale, messages);
+}
+
+/**
+ * 현재 locale 기준으로 메시지를 조회합니다. (custom 렌더러용)
+ *
+ * @param {string} key 메시지 key
+ * @param {Object.<string, *>} [params] `{name}` 치환 값
+ * @returns {string}
+ */
+UI.t = function (key, params) {
+    return i18n.t(key, params);
+}
+
+/**
+ * 값을 현재 locale 기준 문자열로 변환합니다.
+ *
+ * 내장 formatter: `number`, `percent`, `bytes`, `duration`, `date`, `relative`
+ *
+ * @param {*} value 원본 값
+ * @param {string|Object|Function} [spec] formatter 이름, `{type, ...옵션}` 또는 함수
+ * @returns {string}
+ *
+ * @example
+ * UI.format(1234567); // "1,234,567"
+ * UI.format(5368709120, "bytes"); // "5 GB"
+ * UI.format(Date.now() - 60000, "relative"); // "1분 전"
+ */
+UI.format = function (value, spec) {
+    return format.formatValue(value, spec);
+}
+
+/**
+ * 사용자 formatter를 등록합니다.
+ *
+ * 등록한 이름은 schema의 `format` 또는 `options.format`에서 사용할 수 있습니다.
+ *
+ * @param {string} name formatter 이름
+ * @param {function(*, Object, string): string} formatter `(value, options, locale) => string`
+ *
+ * @example
+ * UI.registerFormatter("won", (value, options, locale) =>
+ *     new Intl.NumberFormat(locale, {style: "currency", currency: "KRW"}).format(value));
+ *
+ * UI.initMetricCard({id: "sales", data, options: {format: {value: "won"}}});
+ */
+UI.registerFormatter = function (name, formatter) {
+    format.registerFormatter(name, formatter);
+}
+
+/**
+ * custom 렌더러용 HTML tagged template입니다.
+ *
+ * 보간(`${}`) 값은 escape 되며, `UI.html` 또는 {@link UI.trustedHtml} 결과와 그 배열은 그대로 삽입됩니다.
+ * custom 렌더러에서 반환하면 DOM으로 변환되어 렌더링됩니다.
+ *
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {SafeHtml}
+ *
+ * @example
+ * UI.initListView({
+ *   id: "panel1",
+ *   data,
+ *   custom: {
+ *     footer: ({rawData}) => UI.html`총 <strong>${rawData.length}</strong>건`
+ *   }
+ * });
+ */
+UI.html = function (strings, ...values) {
+    return markup.html(strings, ...values);
+}
+
+/**
+ * 렌더링할 HTML 문자열을 sanitize 하여 custom 렌더러에서 사용할 수 있는 마크업으로 만듭니다.
+ *
+ * 허용 목록에 없는 태그(script, iframe 등)와 속성(on* 이벤트 속성, style 등),
+ * http/https/mailto/tel 외 scheme의 URL은 제거됩니다.
+ *
+ * @param {string} html 렌더링할 HTML (서버 응답 등)
+ * @returns {SafeHtml}
+ *
+ * @example
+ * custom: {
+ *   body: () => fetch("/api/notice").then(res => res.text()).then(UI.trustedHtml)
+ * }
+ */
+UI.trustedHtml = function (html) {
+    return markup.trustedHtml(html);
+}
+
+/**
+ * DOM 요소를 생성합니다. (hyperscript, custom 렌더러용)
+ *
+ * `class` 배열은 `dh-` prefix가 적용되고, `on{Event}` 리스너는 patch renderer가 교체/정리합니다.
+ * 자세한 props는 {@link utils.h}를 참고합니다.
+ *
+ * @param {string} tag tag 이름 또는 {@link UI.Fragment}
+ * @param {Object} [props] 속성
+ * @param {...*} children 자식 (노드, 문자열, `UI.html` 마크업 또는 그 배열)
+ * @returns {HTMLElement|SVGElement|DocumentFragment}
+ *
+ * @example
+ * custom: {
+ *   footer: ({rawData}) => UI.h("div", {class: ["listView-summary"]},
+ *       UI.h("strong", rawData.length), "건",
+ *       UI.h("button", {type: "button", onClick: () => UI.get("panel1").redraw()}, "새로고침"))
+ * }
+ */
+UI.h = utils.h;
+
+/**
+ * {@link UI.h}의 tag로 전달하면 DocumentFragment를 생성합니다.
+ */
+UI.Fragment = utils.Fragment;
+
+/**
+ * 컴포넌트 클래스 계약 (Component Contract)
+ *
+ * {@link UI.register}로 등록하는 클래스는 아래 형태를 따라야 합니다.
+ * 내장 컴포넌트(ListView, MetricCard, Node, NodeGroup)도 동일한 계약을 구현합니다.
+ *
+ * - `constructor(params)` : init 파라미터에서 `data`를 제외한 값과 `iconEngine`을 전달받는다.
+ * - `init(data)` : DOM을 찾아 레이아웃을 만들고 최초 렌더링을 수행한다.
+ * - `getData()`, `setData(data)`, `getViewData()`, `redraw()`, `destroy()`
+ * - (선택) `hydrate(data)` : 서버에서 렌더링된 마크업을 재사용하여 초기화한다. ({@link UI.hydrate})
+ *
+ * 클래스에 `static handleMethods = ["methodName"]`을 정의하면
+ * 해당 메서드도 wrapper 객체에 추가로 노출됩니다.
+ *
+ * @typedef {Object} UIComponent
+ * @property {function(*): void} init
+ * @property {function(): *} getData
+ * @property {function(*): void} setData
+ * @property {function(): *} getViewData
+ * @property {function(): void} redraw
+ * @property {function(): void} destroy
+ */
+
+/**
+ * init 함수가 반환하는 wrapper 객체
+ *
+ * 컴포넌트 인스턴스를 직접 노출하지 않고, 공개 메서드만 위임합니다.
+ *
+ * @typedef {Object} UIComponentHandle
+ * @property {string} type 등록된 컴포넌트 이름
+ * @property {string} id 컴포넌트 DOM id
+ * @property {function(): *} getData
+ * @property {function(*): void} setData
+ * @property {function(): *} getViewData
+ * @property {function(): void} redraw
+ * @property {function(): void} destroy
+ * @property {function(boolean=): void} [setLoading] 로딩 skeleton 표시 (내장 컴포넌트, options.loadingDelay 후 표시)
+ * @property {function((Error|string|null), {retry?: Function|false}=): void} [setError] 오류 패널 표시 (내장 컴포넌트, 다음 setData 시 해제)
+ * @property {function(number): void} [setPage] 페이지 이동 (ListView options.pagination)
+ * @property {function(): number} [getPage] 현재 페이지 (ListView options.pagination)
+ * @property {function(Object[]): void} [appendData] 데이터를 끝에 추가하고 새 항목만 렌더링 (ListView)
+ * @property {function(): Promise<void>} [loadMore] 다음 항목 불러오기 (ListView options.infinite)
+ * @property {function(): Object[]} [getSort] 현재 정렬 상태 (ListView options.sort)
+ * @property {function(*): void} [setSort] 정렬 변경 (ListView options.sort)
+ * @property {function((string|Function|null)): void} [setFilter] 검색어 또는 조건 함수로 항목 거르기 (ListView)
+ */
+
+/**
+ * 모든 wrapper가 공통으로 노출하는 메서드 목록
+ *
+ * @private
+ */
+const HANDLE_METHODS = ["getData", "setData", "getViewData", "redraw", "destroy"];
+
+/**
+ * 등록된 컴포넌트 목록
+ *
+ * key: 소문자로 정규화된 컴포넌트 이름
+ *
+ * @private
+ * @type {Map<string, {name: string, ComponentClass: Function, defaults: Object}>}
+ */
+const COMPONENTS = new Map();
+
+/**
+ * 현재 마운트된 컴포넌트 목록
+ *
+ * key: 컴포넌트 DOM id
+ *
+ * @private
+ * @type {Map<string, {type: string, instance: UIComponent, handle: UIComponentHandle}>}
+ */
+const INSTANCES = new Map();
+
+/**
+ * 동일 id 재초기화 정책
+ *
+ * - `"replace"` : 기존 인스턴스를 destroy한 뒤 새로 생성 (기본값)
+ * - `"error"` : Error를 던진다
+ *
+ * @private
+ */
+const REINIT_POLICIES = ["replace", "error"];
+
+/**
+ * UI 전역 설정
+ *
+ * @property {"replace"|"error"} reinitPolicy 이미 마운트된 id를 다시 init할 때의 동작
+ */
+UI.config = {
+    reinitPolicy: "replace",
+    ...UI.config,
+};
+
+/**
+ * 컴포넌트 간 공유 상태 store
+ *
+ * - `UI.store.set(key, value)` / `UI.store.update(key, fn)`로 값을 변경합니다.
+ * - `UI.store.subscribe(key, listener, {select})`로 변경을 구독합니다.
+ * - init 파라미터의 `bind: {key, select}`를 지정하면 해당 값이 바뀔 때 자동으로 다시 렌더링됩니다.
+ * - 변경 통지는 animation frame 단위로 모아서 처리됩니다.
+ *
+ * @see createStore
+ */
+UI.store = createStore();
+
+/**
+ * 전역 이벤트 핸들러를 등록합니다.
+ *
+ * 컴포넌트는 `itemclick`, `actionclick`, `datachange`, `render`, `destroy` 이벤트를 발생시키며,
+ * payload에는 `type`, `id`, `el`과 이벤트별 필드(index, data 등)가 포함됩니다.
+ * 같은 이벤트는 루트 요소에 `dh:{type}` DOM CustomEvent로도 dispatch 됩니다.
+ *
+ * @param {string} type 이벤트 타입
+ * @param {function(Object): void} handler
+ * @returns {function(): void} 등록 해제 함수
+ *
+ * @example
+ * // ListView에서 서버를 클릭하면 NodeGroup을 해당 서버의 노드로 갱신
+ * UI.on("itemclick", ({id, data}) => {
+ *   if (id !== "serverList") return;
+ *   UI.get("nodeGroup1").setData(nodesByServer[data.title]);
+ * });
+ */
+UI.on = function (type, handler) {
+    return eventBus.on(type, handler);
+}
+
+/**
+ * 전역 이벤트 핸들러를 해제합니다.
+ *
+ * @param {string} type 이벤트 타입
+ * @param {Function} [handler] 생략하면 해당 타입의 핸들러를 모두 해제
+ */
+UI.off = function (type, handler) {
+    eventBus.off(type, handler);
+}
+
+/**
+ * 전역 이벤트를 발생시킵니다. (사용자 정의 이벤트 용)
+ *
+ * @param {string} type 이벤트 타입
+ * @param {Object} [payload={}]
+ */
+UI.emit = function (type, payload = {}) {
+    eventBus.emit(type, payload);
+}
+
+/**
+ * 컴포넌트의 사용자 hook 오류 핸들러를 등록합니다.
+ *
+ * custom 렌더러, `options.afterDraw`, `options.events` 핸들러, Node 버튼 `onClick`에서 발생한 오류
+ * (Promise rejection 포함)가 `{id, phase, error}` 형태로 전달됩니다.
+ * custom 렌더러 오류는 해당 영역에 오류 패널이 표시되고 나머지 영역은 정상적으로 렌더링됩니다.
+ * `UI.on` 핸들러(`event:{type}`), store 구독(`store:{key}`), 스트림 메시지 처리(`stream`) 오류는 id 없이(null) 전달됩니다.
+ * 핸들러를 하나도 등록하지 않으면 console.error로 남깁니다.
+ *
+ * @param {function({id: string|null, phase: string, error: *}): void} handler
+ * @returns {function(): void} 등록 해제 함수
+ *
+ * @example
+ * UI.onError(({id, phase, error}) => {
+ *   errorReporter.send({component: id, phase, message: String(error)});
+ * });
+ */
+UI.onError = function (handler) {
+    return errorBoundary.onError(handler);
+}
+
+/**
+ * 컴포넌트 이름으로 shortcut 함수명을 만든다.
+ *
+ * @private
+ * @example
+ * shortcutName("listView") → "initListView"
+ */
+function shortcutName(name) {
+    return "init" + name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * 컴포넌트 인스턴스를 감싸는 wrapper 객체를 생성한다.
+ *
+ * @private
+ * @param {string} type 등록된 컴포넌트 이름
+ * @param {UIComponent} instance
+ * @param {Function} ComponentClass
+ * @returns {UIComponentHandle}
+ */
+function createHandle(type, instance, ComponentClass) {
+    const handle = {type, id: instance.id};
+
+    const methods = [...HANDLE_METHODS, ...(ComponentClass.handleMethods || [])];
+    methods.forEach(method => {
+        if (typeof instance[method] !== "function") {
+            throw new TypeError(`Component "${type}" must implement ${method}()`);
+        }
+        handle[method] = (...args) => instance[method](...args);
+    });
+
+    return handle;
+}
+
+/**
+ * 컴포넌트 클래스를 등록합니다.
+ *
+ * - {@link UI.init}(name, params)로 생성할 수 있게 됩니다.
+ * - `UI.init{Name}` 형태의 shortcut 함수가 함께 생성됩니다.
+ *   (예: `UI.register("statusBoard", StatusBoard)` → `UI.initStatusBoard(params)`)
+ * - 같은 이름으로 다시 등록하면 기존 등록을 대체합니다.
+ *
+ * @param {string} name 컴포넌트 이름 (대소문자 구분 없이 조회됨)
+ * @param {Function} ComponentClass {@link UIComponent} 계약을 구현한 클래스
+ * @param {Object} [defaults={}] init 파라미터 기본값 (params와 deep merge 됨)
+ * @returns {Function} 생성된 shortcut 함수
+ *
+ * @example
+ * class StatusBoard {
+ *   constructor({id, title, options, iconEngine}) { ... }
+ *   init(data) { ... }
+ *   getData() { ... }
+ *   setData(data) { ... }
+ *   getViewData() { ... }
+ *   redraw() { ... }
+ *   destroy() { ... }
+ * }
+ *
+ * UI.register("statusBoard", StatusBoard, {options: {size: 10}});
+ * const board = UI.initStatusBoard({id: "board1", data});
+ */
+UI.register = function (name, ComponentClass, defaults = {}) {
+    if (!name || typeof name !== "string") {
+        throw new TypeError("Component name must be a non-empty string.");
+    }
+
+    if (typeof ComponentClass !== "function") {
+        throw new TypeError(`Component "${name}" must be a class or constructor function.`);
+    }
+
+    COMPONENTS.set(name.toLowerCase(), {name, ComponentClass, defaults});
+
+    const shortcut = (params = {}) => UI.init(name, params);
+    UI[shortcutName(name)] = shortcut;
+
+    return shortcut;
+}
+
+/**
+ * 등록된 컴포넌트를 생성하고 렌더링합니다.
+ *
+ * @param {string} name 등록된 컴포넌트 이름
+ * @param {Object} [params={}] init 파라미터
+ * @param {string} params.id 렌더링할 DOM ID
+ * @param {HTMLElement} [params.el] 렌더링 대상 요소 (지정하면 id로 찾지 않음, Shadow DOM 내부 요소 등)
+ * @param {*} [params.data] 초기 데이터
+ * @param {Object} [params.bind] {@link UI.store} 바인딩 설정
+ * @param {string} params.bind.key 구독할 store key
+ * @param {Function} [params.bind.select] store 값에서 컴포넌트 데이터를 고르는 selector
+ * @returns {UIComponentHandle}
+ *
+ * @example
+ * UI.init("listView", {id: "panel1", title: {value: "서버 상태"}, data});
+ *
+ * @example
+ * // store의 "cluster" 값이 바뀌면 실행 중 노드 수로 자동 갱신
+ * UI.initMetricCard({
+ *   id: "runningCount",
+ *   title: {value: "실행 중"},
+ *   bind: {key: "cluster", select: c => ({value: c.nodes.filter(n => n.running).length, unit: "대"})}
+ * });
+ */
+UI.init = function (name, params = {}) {
+    return mountComponent(name, params);
+}
+
+/**
+ * 서버에서 렌더링된 마크업(core/ssr.js의 renderToString)을 재사용하여 컴포넌트를 초기화합니다.
+ *
+ * 파라미터는 {@link UI.init}과 같으며, 서버 렌더링에 사용한 것과 같은 data를 전달해야
+ * DOM 변경 없이 이벤트와 아이콘 처리만 연결됩니다. (다르면 변경된 부분만 갱신됩니다)
+ *
+ * @param {string} name 등록된 컴포넌트 이름
+ * @param {Object} [params={}] init 파라미터
+ * @returns {UIComponentHandle}
+ *
+ * @example
+ * // 서버: renderToString("listView", {id: "serverList", title: {value: "서버 상태"}, data})
+ * UI.hydrate("listView", {id: "serverList", title: {value: "서버 상태"}, data, options: {events}});
+ */
+UI.hydrate = function (name, params = {}) {
+    return mountComponent(name, params, {hydrate: true});
+}
+
+/**
+ * 컴포넌트를 생성하여 init 또는 hydrate 하고 인스턴스로 등록한다.
+ *
+ * @private
+ * @param {string} name 등록된 컴포넌트 이름
+ * @param {Object} params init 파라미터
+ * @param {Object} [options]
+ * @param {boolean} [options.hydrate=false] 기존 마크업 재사용 여부
+ * @returns {UIComponentHandle}
+ */
+function mountComponent(name, params, {hydrate = false} = {}) {
+    const entry = COMPONENTS.get(String(name).toLowerCase());
+    if (!entry) {
+        throw new Error(`Unknown component type "${name}"`);
+    }
+
+    const existing = INSTANCES.get(params.id);
+    if (existing) {
+        if (UI.config.reinitPolicy === "error") {
+            throw new Error(`Component with id "${params.id}" is already mounted (${existing.type})`);
+        }
+        existing.handle.destroy();
+    }
+
+    const {data, bind, ...config} = utils.deepMerge(entry.defaults, params);
+    // data는 배열일 수 있으므로 deepMerge 결과가 아닌 원본을 사용
+    let initData = "data" in params ? params.data : data;
+
+    // data 없이 bind만 지정한 경우 store의 현재 값으로 최초 렌더링
+    if (bind && initData === undefined && UI.store.has(bind.key)) {
+        const select = bind.select || ((value) => value);
+        initData = select(UI.store.get(bind.key));
+    }
+
+    const instance = new entry.ComponentClass({...config, iconEngine: UI.iconEngine});
+    if (hydrate) {
+        if (typeof instance.hydrate !== "function") {
+            throw new Error(`Component "${entry.name}" does not support hydrate`);
+        }
+        instance.hydrate(initData);
+    } else {
+        instance.init(initData);
+    }
+
+    const handle = createHandle(entry.name, instance, entry.ComponentClass);
+    if (bind) {
+        bindStore(handle, bind);
+    }
+    registerInstance(entry.name, instance, handle);
+
+    return handle;
+}
+
+/**
+ * store key를 구독하여 값이 바뀌면 setData를 호출하고,
+ * wrapper의 destroy 시 구독을 해제한다.
+ *
+ * @private
+ * @param {UIComponentHandle} handle
+ * @param {{key: string, select?: Function}} bind
+ */
+function bindStore(handle, {key, select}) {
+    if (!key) {
+        throw new TypeError(`bind.key is required for component "${handle.id}"`);
+    }
+
+    const unsubscribe = UI.store.subscribe(key, (value) => handle.setData(value), {select});
+
+    const destroy = handle.destroy;
+    handle.destroy = () => {
+        unsubscribe();
+        destroy();
+    };
+}
+
+/**
+ * 인스턴스를 레지스트리에 등록하고, wrapper의 destroy 시 함께 해제되도록 한다.
+ *
+ * @private
+ * @param {string} type
+ * @param {UIComponent} instance
+ * @param {UIComponentHandle} handle
+ */
+function registerInstance(type, instance, handle) {
+    const destroy = handle.destroy;
+    handle.destroy = () => {
+        // 이미 다른 인스턴스로 교체된 경우에는 레지스트리를 건드리지 않는다.
+        if (INSTANCES.get(handle.id)?.handle === handle) {
+            INSTANCES.delete(handle.id);
+        }
+        destroy();
+    };
+
+    INSTANCES.set(handle.id, {type, instance, handle});
+}
+
+/**
+ * 동일 id를 다시 init할 때의 정책을 설정합니다.
+ *
+ * @param {"replace"|"error"} policy
+ * - `"replace"` : 기존 인스턴스를 destroy한 뒤 새로 생성 (기본값)
+ * - `"error"` : Error를 던진다
+ */
+UI.setReinitPolicy = function (policy) {
+    if (!REINIT_POLICIES.includes(policy)) {
+        throw new TypeError(`Unknown reinit policy "${policy}" (expected ${REINIT_POLICIES.join(", ")})`);
+    }
+    UI.config.reinitPolicy = policy;
+}
+
+/**
+ * 마운트된 컴포넌트의 wrapper를 id로 조회합니다.
+ *
+ * @param {string} id 컴포넌트 DOM id
+ * @returns {UIComponentHandle|null}
+ */
+UI.get = function (id) {
+    return INSTANCES.get(id)?.handle ?? null;
+}
+
+/**
+ * 마운트된 컴포넌트 wrapper 목록을 반환합니다.
+ *
+ * @param {string} [type] 컴포넌트 이름 (생략하면 전체, 대소문자 구분 없음)
+ * @returns {Array<UIComponentHandle>}
+ *
+ * @example
+ * UI.getAll("listView").forEach(lv => lv.redraw());
+ */
+UI.getAll = function (type) {
+    const entries = [...INSTANCES.values()];
+    if (!type) {
+        return entries.map(e => e.handle);
+    }
+
+    const normalized = type.toLowerCase();
+    return entries
+        .filter(e => e.type.toLowerCase() === normalized)
+        .map(e => e.handle);
+}
+
+/**
+ * 마운트된 컴포넌트를 모두 destroy합니다.
+ *
+ * @param {string} [type] 컴포넌트 이름 (생략하면 전체)
+ */
+UI.destroyAll = function (type) {
+    UI.getAll(type).forEach(handle => handle.destroy());
+}
+
+// locale 변경 시 마운트된 컴포넌트를 새 문구로 다시 그린다.
+i18n.onLocaleChange(() => {
+    UI.getAll().forEach(handle => {
+        try {
+            handle.redraw();
+        } catch (e) {
+            console.error(`[UI] redraw on locale change failed`, e);
+        }
+    });
+});
+
 /**
  * 특정 listView를 생성하고 렌더링합니다.
  *
  * - 내부적으로 `listView를`를 통해 ListView 인스턴스를 사용합니다.
  * - 패널 ID로 DOM 요소를 찾아서 렌더링하며, 커스텀 옵션과 후처리도 지원합니다.
  *
+ * @function UI.initListView
  * @param {string} id - 렌더링할 ListView의 DOM ID
  * @param {string} title - ListView의 Header 정보
  * @param {Array<Object>} data - 렌더링할 데이터 배열
@@ -49,22 +719,9 @@ UI.setIconEngine = function (engine) {
  * @param {Function} [custom.header] - 헤더 커스텀 함수 (panelEl 인자)
  * @param {Function} [custom.body] - 바디 커스텀 함수 (panelEl, viewData 인자)
  * @param {Function} [custom.footer] - 푸터 커스텀 함수 (panelEl 인자)
+ * @returns {UIComponentHandle}
  */
-UI.initListView = function ({id, title, data, schema, options = {}, custom = {}} = {}) {
-    // ListView 인스턴스 생성
-    const lv = new ListView({id, title, schema, options, custom, iconEngine: UI.iconEngine});
-
-    // ListView Render
-    lv.init(data);
-
-    return {
-        getData: () => lv.getData(),
-        setData: (data) => lv.setData(data),
-        getViewData: () => lv.getViewData(),
-        redraw: () => lv.redraw(),
-        destroy: () => lv.destroy(),
-    };
-}
+UI.register("listView", ListView);
 
 /**
  * MetricCard를 생성하고 렌더링합니다.
@@ -73,6 +730,7 @@ UI.initListView = function ({id, title, data, schema, options = {}, custom = {}}
  * - 지정한 DOM ID 요소에 카드 형태의 메트릭 UI를 렌더링합니다.
  * - footer 링크, 커스텀 영역, 이벤트 및 후처리를 지원합니다.
  *
+ * @function UI.initMetricCard
  * @param {Object} params
  * @param {string} params.id - 렌더링할 MetricCard의 DOM ID
  * @param {Object} params.title - 카드 header 정보
@@ -93,7 +751,7 @@ UI.initListView = function ({id, title, data, schema, options = {}, custom = {}}
  * @param {string} [params.footer.url] - 이동 URL
  *
  * @param {Object} [params.options={}] - MetricCard 추가 옵션
- * @param {string} [params.options.emptyText="데이터 없음"] - 데이터가 없을 때 표시 문구
+ * @param {string} [params.options.emptyText] - 데이터가 없을 때 표시 문구 (기본: locale 메시지 "empty")
  * @param {Array<Object>} [params.options.events] - 이벤트 바인딩 목록
  * @param {Function} [params.options.afterDraw] - 렌더링 완료 후 실행 콜백
  *
@@ -102,37 +760,30 @@ UI.initListView = function ({id, title, data, schema, options = {}, custom = {}}
  * @param {Function} [params.custom.body] - body 커스텀 렌더링
  * @param {Function} [params.custom.footer] - footer 커스텀 렌더링
  *
- * @returns {MetricCard} 생성된 MetricCard 인스턴스
+ * @returns {UIComponentHandle}
  */
-UI.initMatricCard = function ({id, title, data, footer, options = {}, custom = {}} = {}) {
-    // MetricCard를 인스턴스 생성
-    const mc = new MetricCard({id, title, footer, options, custom, iconEngine: UI.iconEngine});
-
-    // MetricCard를 Render
-    mc.init(data);
+UI.register("metricCard", MetricCard);
 
-    return {
-        getData: () => mc.getData(),
-        setData: (data) => mc.setData(data),
-        getViewData: () => mc.getViewData(),
-        redraw: () => mc.redraw(),
-        destroy: () => mc.destroy(),
-    };
+/**
+ * 기존 이름(오타) 호환용 alias
+ *
+ * @deprecated {@link UI.initMetricCard}를 사용하세요.
+ */
+UI.initMatricCard = function (params = {}) {
+    return UI.init("metricCard", params);
 }
 
 /**
  * Node 컴포넌트를 생성하고 초기화한다.
  *
- * @function initNode
- * @memberof UI
- *
+ * @function UI.initNode
  * @param {Object} [params={}] - 초기화 파라미터 객체
  * @param {string} params.id - Node가 마운트될 DOM element의 ID
  * @param {*} params.data - Node 초기 렌더링에 사용할 데이터
  * @param {Object} [params.options={}] - Node 동작 옵션
  * @param {Object} [params.custom={}] - 사용자 정의 설정값
  *
- * @returns {Node} 생성 및 초기화된 Node 인스턴스
+ * @returns {UIComponentHandle}
  *
  * @example
  * UI.initNode({
@@ -142,32 +793,19 @@ UI.initMatricCard = function ({id, title, data, footer, options = {}, custom = {
  *   custom: { theme: "dark" }
  * });
  */
-UI.initNode = function ({id, data, options = {}, custom = {}} = {}) {
-    // Node 인스턴스 생성
-    const node = new Node({id, options, custom, iconEngine: UI.iconEngine});
-
-    // Node Render
-    node.init(data);
-
-    return {
-        getData: () => node.getData(),
-        setData: (data) => node.setData(data),
-        getViewData: () => node.getViewData(),
-        redraw: () => node.redraw(),
-        destroy: () => node.destroy(),
-    };
-}
+UI.register("node", Node);
 
 /**
  * UI에 NodeGroup을 생성하고 초기화합니다.
  *
+ * @function UI.initNodeGroup
  * @param {Object} params - 함수 파라미터 객체
  * @param {string} params.id - NodeGroup의 고유 ID
  * @param {string|Object} [params.title] - NodeGroup의 제목 (문자열 또는 객체)
  * @param {Array<Object>} params.data - NodeGroup에 렌더링할 노드 데이터 배열
  * @param {Object} [params.options={}] - NodeGroup 생성 옵션
  * @param {Object} [params.custom={}] - 사용자 정의 데이터
- * @returns {NodeGroup} 생성된 NodeGroup 인스턴스
+ * @returns {UIComponentHandle}
  *
  * @example
  * const data = [
@@ -176,20 +814,319 @@ UI.initNode = function ({id, data, options = {}, custom = {}} = {}) {
  * ];
  * const ng = UI.initNodeGroup({ id: 'panel1', title: '서버 목록', data });
  */
-UI.initNodeGroup = function ({id, title, data, options = {}, custom = {}} = {}) {
-    // NodeGroup 인스턴스 생성
-    const ng = new NodeGroup({id, title, options, custom, iconEngine: UI.iconEngine});
+UI.register("nodeGroup", NodeGroup);
 
-    // NodeGroup Render
-    ng.init(data);
+/**
+ * 등록된 컴포넌트를 custom element로 정의합니다.
+ *
+ * 내장 컴포넌트는 모듈 로드 시 `<dh-list-view>`, `<dh-metric-card>`, `<dh-node>`, `<dh-node-group>`으로
+ * 자동 정의되며, {@link UI.register}로 등록한 사용자 컴포넌트는 이 함수로 정의합니다.
+ * (attribute/property, Shadow DOM 동작은 core/elements.js 참고)
+ *
+ * @param {string} tagName custom element 이름 (`-` 포함)
+ * @param {string} name 등록된 컴포넌트 이름
+ * @param {Object} [options]
+ * @param {string[]} [options.styles=[]] `shadow` 사용 시 adopt 할 컴포넌트 CSS 경로
+ * @returns {CustomElementConstructor|null}
+ *
+ * @example
+ * UI.register("statusBoard", StatusBoard);
+ * UI.defineElement("dh-status-board", "statusBoard", {styles: [new URL("./StatusBoard.css", import.meta.url).href]});
+ * // <dh-status-board title="상태" shadow></dh-status-board>
+ */
+UI.defineElement = function (tagName, name, options = {}) {
+    return defineElement(UI, tagName, name, options);
+}
 
-    return {
-        getData: () => ng.getData(),
-        setData: (data) => ng.setData(data),
-        getViewData: () => ng.getViewData(),
-        redraw: () => ng.redraw(),
-        destroy: () => ng.destroy(),
-    };
+defineElements(UI);
+
+/**
+ * root별로 등록된 MutationObserver
+ *
+ * @private
+ * @type {WeakMap<Node, MutationObserver>}
+ */
+const MOUNT_OBSERVERS = new WeakMap();
+
+/**
+ * JSON 레이아웃 설정으로 대시보드를 구성합니다.
+ *
+ * - 행 단위로 `.grid-row` / `.stats-row` / `.row-uneven` 레이아웃을 적용합니다.
+ * - 열마다 패널 요소를 만들고 등록된 컴포넌트를 {@link UI.init}으로 마운트합니다.
+ * - 반환된 handle로 키 단위 갱신 및 전체 destroy가 가능합니다.
+ *
+ * @param {HTMLElement|string} containerEl 대시보드 컨테이너 요소 또는 id
+ * @param {Object} config 대시보드 설정
+ * @param {Array<Object>} config.rows 행 목록 ({layout, className, columns})
+ * @returns {import("./dashboard.js").DashboardHandle}
+ *
+ * @example
+ * const dashboard = UI.renderDashboard("dashboard", {
+ *   rows: [
+ *     {
+ *       layout: "stats",
+ *       columns: [
+ *         {key: "users", type: "metricCard", params: {title: {value: "사용자"}, data: {value: 1000, unit: "명"}}},
+ *         {key: "agents", type: "metricCard", span: 2, params: {title: {value: "에이전트"}, data: {value: 12}}}
+ *       ]
+ *     },
+ *     {
+ *       layout: "uneven",
+ *       columns: [
+ *         {key: "servers", type: "listView", params: {title: {value: "서버 상태"}, data: servers}},
+ *         {key: "system", type: "nodeGroup", params: {title: {value: "시스템"}, data: nodes}}
+ *       ]
+ *     }
+ *   ]
+ * });
+ *
+ * dashboard.update("users", {value: 1200, unit: "명"});
+ * dashboard.destroy();
+ */
+UI.renderDashboard = function (containerEl, config = {}) {
+    return renderDashboard(UI, containerEl, config);
+}
+
+/**
+ * WebSocket 또는 Server-Sent Events 채널을 마운트된 컴포넌트에 연결합니다.
+ *
+ * - 수신 메시지(기본: `{"key": "...", "data": ...}` JSON)를 key별로 라우팅하여
+ *   대상 컴포넌트의 setData를 호출합니다.
+ * - routes 값은 컴포넌트 id, wrapper 객체 또는 그 배열입니다.
+ *   id로 지정하면 메시지 시점마다 {@link UI.get}으로 조회하므로 재초기화된 컴포넌트에도 전달됩니다.
+ * - 연결이 끊기면 backoff 간격으로 재연결하며, 연결 상태를 대상 컴포넌트 header에 표시합니다.
+ *
+ * @param {import("./stream.js").StreamOptions} options 스트림 설정
+ * @returns {{close: Function, send: Function, getState: Function}}
+ *
+ * @example
+ * const stream = UI.connect({
+ *   url: "wss://example.com/cluster",
+ *   routes: {
+ *     nodes: ["nodeGroup1", "nodeCount"],
+ *     servers: "serverList"
+ *   },
+ *   transform: (data, key) => key === "nodes" ? data.items : data
+ * });
+ *
+ * stream.close();
+ */
+UI.connect = function (options = {}) {
+    return createStream({
+        ...options,
+        resolve: (target) => typeof target === "string" ? UI.get(target) : target,
+    });
+}
+
+/**
+ * 자동 생성 id 일련번호
+ *
+ * @private
+ */
+let autoIdSeq = 0;
+
+/**
+ * JSON 문자열을 파싱한다. 실패하면 원인 속성명을 포함한 Error를 던진다.
+ *
+ * @private
+ * @param {string} text JSON 문자열
+ * @param {string} source 오류 메시지에 표시할 출처
+ * @returns {*}
+ */
+function parseJson(text, source) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON in ${source}: ${e.message}`);
+    }
+}
+
+/**
+ * 요소에 인접한 `<script type="application/json">`을 찾는다.
+ *
+ * - 요소의 첫 번째 자식 script
+ * - 요소 바로 다음 형제 script
+ * 순서로 탐색한다.
+ *
+ * @private
+ * @param {HTMLElement} el
+ * @returns {HTMLScriptElement|null}
+ */
+function findJsonScript(el) {
+    const isJson = (node) => node
+        && node.tagName === "SCRIPT"
+        && (node.getAttribute("type") || "").toLowerCase() === "application/json";
+
+    if (isJson(el.firstElementChild)) {
+        return el.firstElementChild;
+    }
+
+    if (isJson(el.nextElementSibling)) {
+        return el.nextElementSibling;
+    }
+
+    return null;
+}
+
+/**
+ * 요소의 속성과 인접 JSON script로부터 init 파라미터를 생성한다.
+ *
+ * 우선순위 (뒤가 우선):
+ * 1. 인접 `<script type="application/json">` 내용
+ * 2. `data-ui-config` 속성
+ * 3. `data-ui-data` 속성 (초기 데이터)
+ *
+ * @private
+ * @param {HTMLElement} el
+ * @returns {Object} init 파라미터
+ */
+function readMountParams(el) {
+    let params = {};
+
+    const script = findJsonScript(el);
+    if (script) {
+        params = utils.deepMerge(params, parseJson(script.textContent, `script for #${el.id}`));
+        // 컴포넌트 렌더링 시 script가 header/body와 섞이지 않도록 제거
+        if (script.parentElement === el) {
+            script.remove();
+        }
+    }
+
+    if (el.dataset.uiConfig) {
+        params = utils.deepMerge(params, parseJson(el.dataset.uiConfig, `data-ui-config of #${el.id}`));
+    }
+
+    if (el.dataset.uiData) {
+        params.data = parseJson(el.dataset.uiData, `data-ui-data of #${el.id}`);
+    }
+
+    return params;
+}
+
+/**
+ * 단일 요소를 `data-ui` 속성에 따라 마운트한다.
+ *
+ * @private
+ * @param {HTMLElement} el
+ * @returns {Object|null} 컴포넌트 wrapper 객체, 이미 마운트된 경우 기존 객체
+ */
+function mountElement(el) {
+    if (el.id && el.dataset.uiMounted && UI.get(el.id)) {
+        return UI.get(el.id);
+    }
+
+    if (!el.id) {
+        el.id = `ui-auto-${++autoIdSeq}`;
+    }
+
+    const params = readMountParams(el);
+    // renderToString으로 서버에서 렌더링된 요소는 마크업을 재사용
+    const mount = el.hasAttribute("data-ui-ssr") ? UI.hydrate : UI.init;
+    const handle = mount(el.dataset.ui, {...params, id: el.id});
+    el.dataset.uiMounted = "true";
+
+    return handle;
+}
+
+/**
+ * root 하위(root 포함)에서 `data-ui` 속성을 가진 요소를 찾아 마운트한다.
+ *
+ * @private
+ * @param {Node} root
+ * @returns {Array<Object>} 마운트된 wrapper 목록
+ */
+function mountTree(root) {
+    const targets = [];
+
+    if (root instanceof HTMLElement && root.hasAttribute("data-ui")) {
+        targets.push(root);
+    }
+
+    if (typeof root.querySelectorAll === "function") {
+        targets.push(...root.querySelectorAll("[data-ui]"));
+    }
+
+    const handles = [];
+    targets.forEach(el => {
+        try {
+            handles.push(mountElement(el));
+        } catch (e) {
+            // 하나의 패널 오류가 나머지 패널 렌더링을 막지 않도록 로그만 남긴다.
+            console.error(`[UI] mount failed for`, el, e);
+        }
+    });
+
+    return handles;
+}
+
+/**
+ * `data-ui` 속성으로 선언된 컴포넌트를 찾아 자동으로 초기화합니다.
+ *
+ * - `data-ui` 값(대소문자 구분 없음)에 해당하는 등록 컴포넌트를 {@link UI.init}으로 생성합니다.
+ *   {@link UI.register}로 등록한 사용자 컴포넌트도 동일하게 사용할 수 있습니다.
+ * - 설정은 `data-ui-config`(JSON), 초기 데이터는 `data-ui-data`(JSON) 속성 또는
+ *   인접한 `<script type="application/json">`에서 읽습니다.
+ * - id가 없는 요소에는 `ui-auto-N` 형식의 id가 부여됩니다.
+ * - 이미 마운트된 요소는 다시 초기화하지 않습니다.
+ * - `data-ui-ssr` 속성이 있는 요소(서버 렌더링 결과)는 {@link UI.hydrate}로 마크업을 재사용합니다.
+ * - `observe: true`이면 MutationObserver로 이후에 삽입되는 요소(AJAX 조각 등)도 마운트합니다.
+ *
+ * ⚠ JSON에는 함수를 담을 수 없으므로 schema mapper, events, afterDraw 등
+ * 함수형 옵션이 필요한 경우에는 `UI.initXxx`를 직접 호출해야 합니다.
+ *
+ * @param {Document|HTMLElement} [root=document] 탐색 시작 요소
+ * @param {Object} [options={}]
+ * @param {boolean} [options.observe=false] 이후 추가되는 요소도 자동 마운트할지 여부
+ * @returns {Array<Object>} 마운트된 컴포넌트 wrapper 목록
+ *
+ * @example
+ * <div data-ui="listView"
+ *      data-ui-config='{"title": {"value": "서버 상태"}, "options": {"size": 10}}'
+ *      data-ui-data='[{"title": "서버 A", "subText": "192.168.0.1"}]'></div>
+ *
+ * @example
+ * <div data-ui="metricCard" class="panel">
+ *   <script type="application/json">
+ *     {"title": {"value": "사용자"}, "data": {"value": 1000, "unit": "명"}}
+ *   </script>
+ * </div>
+ *
+ * @example
+ * UI.mountAll(document, {observe: true});
+ */
+UI.mountAll = function (root = document, {observe = false} = {}) {
+    const handles = mountTree(root);
+
+    if (observe && !MOUNT_OBSERVERS.has(root)) {
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node instanceof HTMLElement) {
+                        mountTree(node);
+                    }
+                });
+            });
+        });
+        observer.observe(root, {childList: true, subtree: true});
+        MOUNT_OBSERVERS.set(root, observer);
+    }
+
+    return handles;
+}
+
+/**
+ * {@link UI.mountAll}의 observe 모드로 등록된 MutationObserver를 해제합니다.
+ *
+ * 이미 마운트된 컴포넌트는 그대로 유지됩니다.
+ *
+ * @param {Document|HTMLElement} [root=document] mountAll에 전달했던 root
+ */
+UI.stopMountObserver = function (root = document) {
+    const observer = MOUNT_OBSERVERS.get(root);
+    if (observer) {
+        observer.disconnect();
+        MOUNT_OBSERVERS.delete(root);
+    }
 }
 
 export default UI;
\ No newline at end of file
@@ -28,6 +28,8 @@ export function createLucideEngine() {
          */
         async afterRender(el) {
             if (!el) return;
+            // 변환할 placeholder가 없으면 기존 svg를 다시 만들지 않음 (patch 렌더링 시 DOM 유지)
+            if (!el.querySelector(":not(svg)[data-lucide]")) return;
 
             await ensureLucide();
             // 로컬 Lucide를 바로 사용
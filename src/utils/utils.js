@@ -1,3 +1,5 @@
+import {SafeHtml, toFragment} from "../core/html.js";
+
 /**
  * 값이 비었는지(empty) 확인합니다.
  *
@@ -130,8 +132,25 @@ export function injectCss(url) {
     document.head.appendChild(link);
 }
 
+/**
+ * 일반 객체(객체 리터럴, Object.create(null))인지 확인한다.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+    if (!value || typeof value !== "object") {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
 /**
  * 두 객체를 재귀적으로 병합하는 Deep Merge
+ *
+ * 일반 객체만 재귀 병합하고, 배열/DOM 요소/Date 등은 참조를 그대로 사용한다.
+ *
  * @param {Object} target
  * @param {Object} source
  * @returns {Object}
@@ -139,8 +158,8 @@ export function injectCss(url) {
 export function deepMerge(target, source) {
     const result = {...target};
     for (const key in source) {
-        if (source[key] && typeof source[key] === "object" && !Array.isArray(source[key])) {
-            result[key] = deepMerge(target[key] || {}, source[key]);
+        if (isPlainObject(source[key])) {
+            result[key] = deepMerge(isPlainObject(target?.[key]) ? target[key] : {}, source[key]);
         } else {
             result[key] = source[key];
         }
@@ -148,8 +167,25 @@ export function deepMerge(target, source) {
     return result;
 }
 
+/**
+ * `{value, format}` 형식의 schema 항목인지 확인한다.
+ *
+ * @param {*} entry schema 항목
+ * @returns {boolean}
+ */
+export function isFieldSpec(entry) {
+    return !!entry && typeof entry === "object" && !Array.isArray(entry) && "format" in entry;
+}
+
 /**
  * Schema 기반 Mapper 생성
+ *
+ * schema 항목은 아래 형태를 지원한다.
+ * - 함수: `(data, key) => value`
+ * - `{value, format}`: value(함수 또는 상수, 생략 시 `data[key]`)로 값을 구하고,
+ *   format은 렌더링 시 formatter 선택에 사용된다. (core/format.js)
+ * - 그 외: 상수 값
+ *
  * @param {Object} schema
  * @returns {Function}
  */
@@ -159,6 +195,10 @@ export function createMapper(schema) {
         for (const [key, mapper] of Object.entries(schema)) {
             if (typeof mapper === "function") {
                 result[key] = mapper(data, key);
+            } else if (isFieldSpec(mapper)) {
+                result[key] = typeof mapper.value === "function"
+                    ? mapper.value(data, key)
+                    : mapper.value ?? data?.[key];
             } else {
                 result[key] = mapper;
             }
@@ -319,8 +359,10 @@ export function unbindEvents(el) {
  * @param {string} [events[].selector] 이벤트 대상 selector
  * @param {Function} events[].handler 이벤트 핸들러
  * @param {Object[]} viewData 데이터 바인딩 목록
+ * @param {function(*): void} [onError] 핸들러 오류(예외, Promise rejection) 처리 함수.
+ * 지정하면 오류가 다른 핸들러 실행을 막지 않고 onError로 전달된다.
  */
-export function bindEvents(el, events = [], viewData = []) {
+export function bindEvents(el, events = [], viewData = [], onError) {
     if (!el || !events.length) {
         return;
     }
@@ -335,6 +377,25 @@ export function bindEvents(el, events = [], viewData = []) {
         return acc;
     }, {});
 
+    const callHandler = (ev, e, node, data, index) => {
+        if (!onError) {
+            ev.handler(e, node, data, index, el);
+            return;
+        }
+
+        try {
+            const result = ev.handler(e, node, data, index, el);
+            if (typeof result?.then === "function") {
+                result.then(undefined, onError);
+            }
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    // 실제 DOM에 표시용 클래스 추가
+    markEventTargets(el, events);
+
     // 이벤트 타입별 listener 하나만 등록
     const listeners = [];
     Object.entries(grouped).forEach(([type, eventList]) => {
@@ -351,16 +412,6 @@ export function bindEvents(el, events = [], viewData = []) {
                 const list = selectorMap.get(ev.selector) || [];
                 list.push(ev);
                 selectorMap.set(ev.selector, list);
-
-                // 실제 DOM에 표시용 클래스 추가
-                if (ev.useEventClass === false) {
-                    return;
-                }
-
-                const targets = el.querySelectorAll(ev.selector);
-                targets.forEach(target => {
-                    target.classList.add(RULES.eventClass);
-                });
             });
 
             const listener = e => {
@@ -373,7 +424,7 @@ export function bindEvents(el, events = [], viewData = []) {
                         const {index, data} = resolveItemData(node, viewData);
 
                         evList.forEach(ev => {
-                            ev.handler(e, node, data, index, el);
+                            callHandler(ev, e, node, data, index);
                         });
 
                         return;
@@ -382,7 +433,7 @@ export function bindEvents(el, events = [], viewData = []) {
                 }
 
                 elEvents.forEach(ev => {
-                    ev.handler(e, el, null, NaN, el);
+                    callHandler(ev, e, el, null, NaN);
                 });
             }
             el.addEventListener(type, listener);
@@ -394,6 +445,90 @@ export function bindEvents(el, events = [], viewData = []) {
     enableNearestHover(el);
 }
 
+/**
+ * 이벤트 selector 대상 요소에 표시용 class(RULES.eventClass)를 추가합니다.
+ *
+ * <p>
+ * {@link bindEvents}가 바인딩 시점에 호출하며,
+ * 이후 일부 항목만 다시 렌더링한 경우(가상 스크롤 등) 새 요소에 표시용 class를 적용할 때 사용합니다.
+ * `useEventClass: false`인 이벤트는 제외됩니다.
+ * </p>
+ *
+ * @param {HTMLElement} el 이벤트 루트 요소
+ * @param {Array<Object>} events 이벤트 설정 목록
+ */
+export function markEventTargets(el, events = []) {
+    events.forEach(ev => {
+        if (!ev.selector || ev.useEventClass === false) {
+            return;
+        }
+
+        el.querySelectorAll(ev.selector).forEach(target => {
+            target.classList.add(RULES.eventClass);
+        });
+    });
+}
+
+/**
+ * 단일 selector에 대한 위임(delegate) 이벤트 리스너를 등록합니다.
+ *
+ * <p>
+ * {@link bindEvents}와 달리 {@link EVENT_STORE}에 저장되지 않으므로
+ * bindEvents 재호출이나 {@link unbindEvents}의 영향을 받지 않습니다.
+ * 컴포넌트 내부 동작용 리스너를 등록할 때 사용하며,
+ * 반환된 함수로 직접 해제해야 합니다.
+ * </p>
+ *
+ * @param {HTMLElement} el 이벤트 루트 요소
+ * @param {string} type 이벤트 타입
+ * @param {string} selector 대상 selector (el 내부에서 가장 가까운 요소가 매칭됨)
+ * @param {function(Event, HTMLElement): void} handler (event, matchedElement)
+ * @returns {function(): void} 리스너 해제 함수
+ *
+ * @example
+ * const off = delegate(rootEl, "click", ".dh-listView-item", (e, itemEl) => {
+ *   console.log(itemEl.dataset.index);
+ * });
+ * off();
+ */
+export function delegate(el, type, selector, handler) {
+    if (!el) {
+        return () => {};
+    }
+
+    const listener = e => {
+        const target = e.target instanceof Element ? e.target.closest(selector) : null;
+        if (target && el.contains(target)) {
+            handler(e, target);
+        }
+    };
+
+    el.addEventListener(type, listener);
+    return () => el.removeEventListener(type, listener);
+}
+
+/**
+ * 요소에 이벤트 리스너를 직접 등록하고 `_uiListeners` expando에 기록합니다.
+ *
+ * <p>
+ * patch renderer(core/patch.js)는 기존 요소를 재사용할 때
+ * 기록된 리스너를 새로 렌더링한 요소의 리스너로 교체합니다.
+ * 렌더링 중 요소에 직접 리스너를 붙일 때는 addEventListener 대신 이 함수를 사용해야 합니다.
+ * </p>
+ *
+ * @param {HTMLElement} el 대상 요소
+ * @param {string} type 이벤트 타입
+ * @param {EventListener} listener 리스너
+ * @param {boolean|AddEventListenerOptions} [options] addEventListener 옵션
+ */
+export function addListener(el, type, listener, options) {
+    el.addEventListener(type, listener, options);
+    if (!el._uiListeners) {
+        el._uiListeners = [];
+    }
+    el._uiListeners.push({type, listener, options});
+}
+
 /**
  * 지정한 컨테이너 요소에 위임 방식(delegate)의 hover 동작을 활성화합니다.
  *
@@ -548,30 +683,98 @@ export function clear(el) {
     el.textContent = "";
 }
 
+/**
+ * 마지막 호출 후 wait(ms) 동안 다시 호출되지 않으면 fn을 실행하는 함수를 반환합니다.
+ *
+ * <p>
+ * 반환된 함수의 `cancel()`로 대기 중인 실행을 취소할 수 있습니다.
+ * </p>
+ *
+ * @param {Function} fn 실행할 함수 (마지막 호출의 인자가 전달됨)
+ * @param {number} wait 대기 시간(ms)
+ * @returns {Function & {cancel: function(): void}}
+ *
+ * @example
+ * const search = debounce(query => listView.setFilter(query), 200);
+ * input.addEventListener("input", e => search(e.target.value));
+ */
+export function debounce(fn, wait) {
+    let timer = null;
+
+    const debounced = (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            fn(...args);
+        }, wait);
+    };
+    debounced.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    return debounced;
+}
+
+/**
+ * custom 렌더러 결과를 대상 요소에 추가합니다.
+ *
+ * @private
+ * @param {HTMLElement} targetEl
+ * @param {*} result 렌더러 반환값
+ * @throws {TypeError} 지원하지 않는 타입인 경우
+ */
+function appendCustom(targetEl, result) {
+    if (typeof result === "string") {
+        targetEl.textContent = result;
+        return;
+    }
+
+    const nodes = [];
+    [].concat(result).flat(Infinity).forEach(item => {
+        if (item instanceof SafeHtml) {
+            nodes.push(toFragment(item));
+        } else if (typeof item === "string") {
+            nodes.push(document.createTextNode(item));
+        } else if ([1, 3, 11].includes(item?.nodeType)) {
+            // 서버 렌더링(core/ssr.js)의 노드도 허용하도록 nodeType으로 판별
+            nodes.push(item);
+        } else {
+            throw new TypeError(
+                "Custom render function must return an HTMLElement, DocumentFragment, string, UI.html markup or an array of them."
+            );
+        }
+    });
+    nodes.forEach(node => targetEl.appendChild(node));
+}
+
 /**
  * 사용자 정의 렌더링 함수를 실행하고,
  * 반환된 결과를 지정된 대상 요소에 렌더링합니다.
  *
- * 렌더 함수는 전달된 `context` 객체를 인자로 받아
- * {@link HTMLElement} 또는 HTML 문자열을 반환해야 합니다.
- *
  * 동작 방식:
- * - {@link HTMLElement} 반환 → `appendChild()`로 추가
- * - 문자열 반환 → `textContent`로 설정
- * - 그 외 타입 반환 → {@link TypeError} 발생
+ * - {@link HTMLElement}, DocumentFragment, Text 반환 → `appendChild()`로 추가
+ * - 문자열 반환 → `textContent`로 설정 (HTML로 해석하지 않음)
+ * - `UI.html` / `UI.trustedHtml` 마크업({@link SafeHtml}) 반환 → DOM으로 변환하여 추가
+ * - 배열 반환 → 각 항목(위 타입, 문자열은 텍스트 노드)을 순서대로 추가
+ * - Promise 반환 → resolve 된 값을 위 규칙으로 추가하고, 완료를 나타내는 Promise를 반환
+ *   (그 사이 같은 요소에 다시 렌더링하면 이전 결과는 버려짐)
+ * - 그 외 타입 반환 → {@link TypeError} 발생 (Promise인 경우 reject)
  *
  * @param {HTMLElement} targetEl
  * 렌더링 대상이 되는 DOM 요소
  *
- * @param {(context: Object) => (HTMLElement|string)} fn
+ * @param {(context: Object) => (Node|string|SafeHtml|Array|Promise)} fn
  * 사용자 정의 렌더 함수.
- * UI 컨텍스트를 인자로 받아 HTMLElement 또는 HTML 문자열을 반환해야 합니다.
+ * UI 컨텍스트를 인자로 받아 위 타입 중 하나를 반환해야 합니다.
  *
  * @param {Object} context
  * 렌더 함수에 전달할 UI 컨텍스트 객체
  *
+ * @returns {Promise<void>|undefined} 렌더 함수가 Promise를 반환한 경우 렌더링 완료 Promise
+ *
  * @throws {TypeError}
- * 렌더 함수가 HTMLElement 또는 문자열을 반환하지 않는 경우 발생
+ * 렌더 함수가 지원하지 않는 타입을 반환하는 경우 발생
  *
  * @example
  * renderCustom(container, (ctx) => {
@@ -580,21 +783,38 @@ export function clear(el) {
  *   return el;
  * }, ui.getContext());
  *
+ * @example
+ * renderCustom(container, (ctx) => UI.html`<strong>${ctx.title}</strong>`, ui.getContext());
+ *
  * @remarks
  * - 문자열 반환 시 기존 자식 노드는 모두 교체됩니다.
- * - HTMLElement 반환 시 기존 내용 뒤에 추가됩니다.
+ * - 그 외 타입은 기존 내용 뒤에 추가됩니다.
  */
 export function renderCustom(targetEl, fn, context) {
-    const node = fn(context);
-    if (node instanceof HTMLElement) {
-        targetEl.appendChild(node);
-    } else if (typeof node === "string") {
-        targetEl.textContent = node;
-    } else {
-        throw new TypeError(
-            "Custom render function must return an HTMLElement or HTML string."
-        );
+    const result = fn(context);
+
+    if (typeof result?.then !== "function") {
+        targetEl._uiCustomRender = null;
+        appendCustom(targetEl, result);
+        return undefined;
     }
+
+    const token = {};
+    targetEl._uiCustomRender = token;
+    return Promise.resolve(result).then(
+        (value) => {
+            if (targetEl._uiCustomRender === token) {
+                targetEl._uiCustomRender = null;
+                appendCustom(targetEl, value);
+            }
+        },
+        (error) => {
+            if (targetEl._uiCustomRender === token) {
+                targetEl._uiCustomRender = null;
+                throw error;
+            }
+        }
+    );
 }
 
 /**
@@ -606,6 +826,8 @@ export function renderCustom(targetEl, fn, context) {
  * @param {Object.<string, string>} [attrs={}] - 추가로 설정할 속성 객체 (ex: { id: 'test', 'data-id': '123' })
  *
  * @returns {HTMLElement} 생성된 HTML 요소
+ *
+ * @deprecated {@link h}를 사용합니다. (`createElement("div", text, className)` → `h("div", {class: className}, text)`)
  */
 export function createElement(tag, text, className, attrs = {}) {
     const el = document.createElement(tag);
@@ -624,4 +846,144 @@ export function createElement(tag, text, className, attrs = {}) {
     });
 
     return el;
-}
\ No newline at end of file
+}
+
+/**
+ * {@link h}의 tag로 전달하면 DocumentFragment를 생성합니다.
+ *
+ * @type {string}
+ */
+export const Fragment = "#fragment";
+
+/**
+ * SVG namespace
+ *
+ * @private
+ */
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * SVG namespace로 생성하는 tag (a, title 등 HTML과 이름이 같은 tag는 `xmlns`로 지정)
+ *
+ * @private
+ */
+const SVG_TAGS = new Set([
+    "svg", "g", "path", "circle", "ellipse", "line", "polyline", "polygon", "rect", "text", "tspan",
+    "defs", "use", "symbol", "clipPath", "mask", "linearGradient", "radialGradient", "stop", "pattern",
+    "marker", "foreignObject",
+]);
+
+/**
+ * {@link h}의 props 하나를 요소에 적용한다.
+ *
+ * @private
+ */
+function applyProp(el, key, value) {
+    if (value === null || value === undefined || value === false || key === "xmlns") {
+        return;
+    }
+
+    if (key === "class" || key === "className") {
+        const className = !Array.isArray(value) ? value
+            : Array.isArray(value[0]) ? makeClassName(...value) : makeClassName(value);
+        if (className) {
+            el.setAttribute("class", className);
+        }
+    } else if (key === "dataset") {
+        Object.entries(value).forEach(([name, data]) => {
+            if (data !== null && data !== undefined) {
+                el.dataset[name] = data;
+            }
+        });
+    } else if (key === "style" && typeof value === "object") {
+        Object.entries(value).forEach(([name, style]) => {
+            if (name.includes("-")) {
+                el.style.setProperty(name, style);
+            } else {
+                el.style[name] = style;
+            }
+        });
+    } else if (key.startsWith("on") && typeof value === "function") {
+        addListener(el, key.slice(2).toLowerCase(), value);
+    } else if (key.startsWith("_")) {
+        // _uiIndex, _uiAction 등 expando (patch renderer가 동기화)
+        el[key] = value;
+    } else {
+        el.setAttribute(key, value === true ? "" : value);
+    }
+}
+
+/**
+ * 자식 노드를 추가한다.
+ *
+ * @private
+ */
+function appendChildren(parent, children) {
+    children.flat(Infinity).forEach(child => {
+        if (child === null || child === undefined || child === "" || typeof child === "boolean") {
+            return;
+        }
+
+        if (child instanceof SafeHtml) {
+            parent.appendChild(toFragment(child));
+        } else if (typeof child === "object" && child.nodeType) {
+            parent.appendChild(child);
+        } else {
+            parent.appendChild(document.createTextNode(String(child)));
+        }
+    });
+}
+
+/**
+ * DOM 요소를 생성합니다. (hyperscript)
+ *
+ * props:
+ * - `class` : 문자열은 그대로, 배열은 {@link makeClassName}으로 변환
+ *   (`["panel", "item"]` → prefix 적용, `[["panel"], ["active"]]` → (prefixed, raw))
+ * - `dataset` : `data-*` 속성 객체
+ * - `style` : 문자열 또는 객체 (`-`가 포함된 이름(`--변수` 포함)은 setProperty, 그 외는 camelCase 프로퍼티)
+ * - `on{Event}` : 이벤트 리스너. {@link addListener}로 등록되어 patch renderer가 교체/정리한다.
+ * - `_ui*` : 요소 expando (`_uiIndex`, `_uiAction` 등)
+ * - `xmlns` : namespace 지정 (svg, path 등 SVG tag는 자동으로 SVG namespace 사용)
+ * - 그 외 : 속성. `true`는 빈 값 속성, `false`/null/undefined는 생략
+ *
+ * children은 노드, 문자열/숫자(텍스트 노드), `UI.html` 마크업 또는 그 배열이며,
+ * null, undefined, boolean, 빈 문자열은 무시됩니다.
+ * props가 객체가 아니면(생략) 첫 번째 child로 취급합니다.
+ *
+ * @param {string} tag tag 이름 또는 {@link Fragment}
+ * @param {Object} [props] 속성
+ * @param {...*} children 자식
+ * @returns {HTMLElement|SVGElement|DocumentFragment}
+ *
+ * @example
+ * h("li", {class: [["listView-item"], [RULES.dataBindClass]], dataset: {index: 0}, onClick: select},
+ *     h("span", {class: ["listView-item-title"]}, item.title),
+ *     item.subText ? h("span", {class: ["listView-item-subText"]}, item.subText) : null);
+ *
+ * @example
+ * h("svg", {viewBox: "0 0 24 24", width: 16, height: 16}, h("path", {d: "M4 12h16"}));
+ *
+ * @example
+ * h(Fragment, null, h("dt", "CPU"), h("dd", "42%"));
+ */
+export function h(tag, props, ...children) {
+    if (!isPlainObject(props)) {
+        children.unshift(props);
+        props = {};
+    }
+
+    if (tag === Fragment) {
+        const fragment = document.createDocumentFragment();
+        appendChildren(fragment, children);
+        return fragment;
+    }
+
+    const namespace = props.xmlns ?? (SVG_TAGS.has(tag) ? SVG_NS : null);
+    const el = namespace ? document.createElementNS(namespace, tag) : document.createElement(tag);
+
+    Object.entries(props).forEach(([key, value]) => applyProp(el, key, value));
+    appendChildren(el, children);
+
+    return el;
+}